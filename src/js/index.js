@@ -1,4 +1,116 @@
 import * as d3 from 'd3';
+import '../less/plugin.less';
+import { kde, bandwidthFromStats, boxplotStats, summaryStats } from './stats.js';
+import { TDigest, sketchStats } from './sketch.js';
+import { downsampleSorted, beeswarmOffsets } from './points.js';
+import {
+    mannWhitneyU, welchTTest, kruskalWallis,
+    adjustPValues, significanceStars, formatPValue
+} from './significance.js';
+import {
+    PALETTES, DEFAULT_SETTINGS, GROUP_ORDERS,
+    isValidSetting, serializeState, parseState
+} from './state.js';
+import {
+    GROUP_PATH_SEPARATOR, hierarchicalBandScale,
+    createValueScale, padValueDomain, valueTicks
+} from './scales.js';
+
+// Perspective aggregates computed per box when aggregation is pushed into the engine
+const ENGINE_AGGREGATES = {
+    count: 'count',
+    mean: 'mean',
+    median: 'median',
+    q1: 'q1',
+    q3: 'q3',
+    min: 'low',
+    max: 'high',
+    sd: 'stddev'
+};
+
+// Unique ids for per-panel clip paths across every plugin instance on the page
+let clipPathCounter = 0;
+
+// Ids matching stats worker replies to the request that produced them
+let statsJobCounter = 0;
+
+// Options editable from the in-chart settings panel, in display order. `when` hides a field
+// that doesn't apply to the current settings; numeric selects are coerced back to numbers.
+const SETTINGS_FIELDS = [
+    { key: 'mode', label: 'Chart', options: [['box', 'Box'], ['violin', 'Violin']] },
+    { key: 'violinInner', label: 'Violin inner', options: [['box', 'Mini box'], ['quartiles', 'Quartiles'], ['none', 'None']], when: s => s.mode === 'violin' },
+    { key: 'kernel', label: 'Kernel', options: ['gaussian', 'epanechnikov', 'triangular', 'uniform', 'biweight', 'cosine'], when: s => s.mode === 'violin' },
+    { key: 'orientation', label: 'Orientation', options: [['vertical', 'Vertical'], ['horizontal', 'Horizontal']] },
+    { key: 'scale', label: 'Scale', options: [['linear', 'Linear'], ['log', 'Log'], ['symlog', 'Symlog'], ['sqrt', 'Square root']] },
+    { key: 'whisker', label: 'Whiskers', options: [['tukey', 'Tukey (IQR)'], ['minmax', 'Min/Max'], ['percentile', 'Percentile'], ['sd', 'Mean \u00b1 SD']] },
+    { key: 'whiskerIqr', label: 'IQR multiplier', type: 'number', min: 0, step: 0.5, when: s => s.whisker === 'tukey' },
+    { key: 'whiskerPercentile', label: 'Lower percentile', type: 'number', min: 0, max: 49, step: 0.5, when: s => s.whisker === 'percentile' },
+    { key: 'whiskerSd', label: 'SD multiplier', type: 'number', min: 0, step: 0.5, when: s => s.whisker === 'sd' },
+    { key: 'quantileMethod', label: 'Quantiles', options: [1, 2, 3, 4, 5, 6, 7, 8, 9].map(t => [t, `Type ${t}`]) },
+    { key: 'notch', label: 'Notches', type: 'checkbox', when: s => s.mode === 'box' },
+    { key: 'bootstrap', label: 'Bootstrap CIs', type: 'checkbox' },
+    { key: 'overlay', label: 'Points', options: [['none', 'None'], ['strip', 'Strip'], ['swarm', 'Swarm']] },
+    { key: 'overlaySize', label: 'Point size', type: 'number', min: 0.5, max: 10, step: 0.5, when: s => s.overlay !== 'none' },
+    { key: 'overlayOpacity', label: 'Point opacity', type: 'number', min: 0.05, max: 1, step: 0.05, when: s => s.overlay !== 'none' },
+    { key: 'significanceTest', label: 'Pairwise test', options: [['none', 'None'], ['mann-whitney', 'Mann–Whitney U'], ['welch', "Welch's t"]] },
+    {
+        key: 'significancePairs',
+        label: 'Compare',
+        // Explicit pairs can only come from the config, so they are offered only when set
+        options: s => [['adjacent', 'Adjacent groups'], ['all', 'All pairs'], ...(Array.isArray(s.significancePairs) ? [['custom', 'Configured pairs']] : [])],
+        get: s => Array.isArray(s.significancePairs) ? 'custom' : s.significancePairs,
+        set: (s, v) => v === 'custom' ? {} : { significancePairs: v },
+        when: s => s.significanceTest !== 'none'
+    },
+    { key: 'significanceCorrection', label: 'Correction', options: [['none', 'None'], ['bonferroni', 'Bonferroni'], ['holm', 'Holm'], ['bh', 'Benjamini–Hochberg']], when: s => s.significanceTest !== 'none' },
+    { key: 'significanceLabel', label: 'Show', options: [['stars', 'Stars'], ['p', 'p-values']], when: s => s.significanceTest !== 'none' },
+    { key: 'significanceOmnibus', label: 'Kruskal–Wallis', type: 'checkbox' },
+    { key: 'legendPosition', label: 'Legend', options: [['auto', 'Auto'], ['right', 'Right'], ['top', 'Top'], ['bottom', 'Bottom'], ['none', 'Hidden']] },
+    { key: 'palette', label: 'Palette', options: [['theme', 'Theme'], ...Object.keys(PALETTES).map(k => [k, k])] },
+    {
+        key: 'groupOrder',
+        label: 'Order groups by',
+        options: GROUP_ORDERS.map(by => [by, by === 'data' ? 'Data / view sort' : by === 'iqr' ? 'IQR' : by[0].toUpperCase() + by.slice(1)]),
+        get: s => s.groupOrder.by,
+        set: (s, by) => ({ groupOrder: { ...s.groupOrder, by } })
+    },
+    {
+        key: 'groupOrder',
+        label: 'Direction',
+        options: [['asc', 'Ascending'], ['desc', 'Descending']],
+        get: s => s.groupOrder.direction,
+        set: (s, direction) => ({ groupOrder: { ...s.groupOrder, direction } }),
+        when: s => s.groupOrder.by !== 'data'
+    }
+];
+
+// Display label for a group_by/split_by/facet key; null groups read as 'Unknown'
+function groupLabel(value) {
+    return value === null || value === undefined ? 'Unknown' : String(value);
+}
+
+// Row values end up in tooltip and panel markup
+const escapeHtml = value => String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+// Outlier rows per series object, so zoom redraws don't rescan every box
+const outlierRowCache = new WeakMap();
+
+// Violin densities per series object, so zoom redraws don't re-run the KDE
+const densityCache = new WeakMap();
+
+// Plugin options that change how computed series are drawn but not which values they hold
+const VIEW_ONLY_SETTINGS = [
+    'zoomDomain', 'hiddenSeries', 'groupOrder', 'legendPosition', 'palette', 'annotations',
+    'orientation', 'overlay', 'overlaySize', 'overlayOpacity', 'overlayMaxPoints',
+    'pointRenderer', 'canvasPointThreshold', 'significanceTest', 'significancePairs',
+    'significanceCorrection', 'significanceLabel', 'significanceOmnibus'
+];
+
+// Beyond this many groups, all-pairs significance brackets would bury the chart
+const MAX_ALL_PAIRS_GROUPS = 8;
+
+// Pointer distance (px) within which a canvas point counts as hovered
+const POINT_HIT_RADIUS = 6;
 
 async function loadPerspectiveBoxplotPlugin() {
     // Wait for perspective-viewer to be fully loaded
@@ -11,6 +123,18 @@ async function loadPerspectiveBoxplotPlugin() {
             super();
             this._container = null;
             this._chart = null;
+            this._settings = { ...DEFAULT_SETTINGS };
+            this._drawId = 0;
+            this._statsWorker = null;
+            this._statsJob = null;
+            this._statsWorkerFailed = false;
+            this._brushFilter = null;
+            this._selection = new Map();
+            this._outlierPanel = { open: false, sortColumn: 'Value', descending: true };
+            this._settingsPanelOpen = false;
+            this._settingsPanel = null;
+            this._settingsPanelFor = null; // settings object the panel's fields were built from
+            this._hiddenSeries = new Set(); // series hidden in the last render
         }
 
         get name() {
@@ -40,67 +164,74 @@ async function loadPerspectiveBoxplotPlugin() {
                 this._container.style.height = "100%";
                 this._container.style.position = "relative";
                 this._container.style.overflow = "hidden";
+                this._container.className = "boxplot-container";
                 this.appendChild(this._container);
             }
+            this._observeTheme();
+
+            this._view = view;
+            const drawId = ++this._drawId;
+            // Don't let a superseded computation keep the worker busy while this draw fetches data
+            if (this._statsJob) {
+                this._statsJob.cancel();
+            }
 
             try {
                 // Get view configuration and schema
                 const config = await view.get_config();
                 const schema = await view.schema();
+                this._syncBrushFilter(config);
+                this._viewSort = config.sort || [];
+
+                // Streaming keeps per-series sketches and only reads appended rows on later updates
+                await this._releaseStreamingView();
+                if (this._settings.streaming && await this._drawStreaming(view, config, schema, drawId)) {
+                    return;
+                }
+
+                // Engine aggregation only moves per-box summaries (plus outlier candidates) out of the worker
+                if (this._settings.aggregation === 'engine') {
+                    const summaries = await this._getEngineSeries(view, config, schema);
+                    // Superseded while the summary view was computing
+                    if (drawId !== this._drawId) return;
+                    if (summaries) {
+                        this._renderSeries(summaries);
+                        return;
+                    }
+                }
 
                 // For boxplots, we need raw data, not aggregated data
-                // So we'll get the data without group_by/split_by to avoid aggregation
+                // So we'll get the data without group_by/split_by to avoid aggregation;
+                // both are re-applied client-side as x groups and hue series
                 const rawData = await this._getRawDataForBoxplot(view, config);
 
 
+                // Superseded while fetching - the newer draw renders instead
+                if (drawId !== this._drawId) return;
+
                 // Render the boxplot using bundled d3
-                await this._renderBoxplot(rawData, config, schema);
+                await this._renderBoxplot(rawData, config, schema, drawId);
             } catch (error) {
                 console.error("Error rendering boxplot:", error);
-                this._container.innerHTML = `<div style="display: flex; align-items: center; justify-content: center; height: 100%; color: #666;">Error rendering chart: ${error.message}</div>`;
+                this._container.innerHTML = `<div style="display: flex; align-items: center; justify-content: center; height: 100%; color: var(--inactive--color, #666);">Error rendering chart: ${error.message}</div>`;
             }
         }
 
         async _getRawDataForBoxplot(view, config) {
             try {
-                // For Perspective viewer plugins, try different approaches to get the table
-                let table = null;
-                
-                // Try to access the table through different paths
-                if (view.table) {
-
-                    table = view.table;
-                } else if (view._table) {
-
-                    table = view._table;
-                } else if (this._view && this._view.table) {
-                    table = this._view.table;
-                } else if (this.parentElement && this.parentElement.table) {
-                    table = this.parentElement.table;
-                }
+                const table = await this._getTable(view);
 
                 if (!table) {
                     console.warn('Could not access table directly, using current view data');
-                    const currentData = await view.to_json();
+                    const currentData = await view.to_columns();
 
                     return currentData;
                 }
 
 
-                // Create a configuration that gets ALL raw data
-                const rawConfig = {
-                    // Don't specify columns to get all columns
-                    group_by: [], // No grouping
-                    split_by: [], // No splitting  
-                    aggregates: {}, // No aggregation
-                    sort: [], // No sorting
-                    filter: config.filter || [] // Keep any existing filters
-                };
-
-
-                // Create a temporary view to get raw data
-                const tempView = await table.view(rawConfig);
-                const rawData = await tempView.to_json();
+                // Create a temporary view to get raw data, column-oriented to avoid one object per row
+                const tempView = await table.view(this._rawViewConfig(config));
+                const rawData = await tempView.to_columns();
 
                 
                 await tempView.delete(); // Clean up
@@ -108,501 +239,2446 @@ async function loadPerspectiveBoxplotPlugin() {
                 return rawData;
             } catch (error) {
 
-                const fallbackData = await view.to_json();
+                const fallbackData = await view.to_columns();
 
                 return fallbackData;
             }
         }
 
-        async _renderBoxplot(data, config, schema) {
-            // Use bundled d3 (imported at top of file)
-            // Clear previous content
-            this._container.innerHTML = '';
+        async _getTable(view) {
+            // For Perspective viewer plugins, try different approaches to get the table
+            if (view.table) {
+                return view.table;
+            } else if (view._table) {
+                return view._table;
+            } else if (this._view && this._view.table) {
+                return this._view.table;
+            } else if (this.parentElement && this.parentElement.table) {
+                return this.parentElement.table;
+            } else if (this.parentElement && typeof this.parentElement.getTable === 'function') {
+                return this.parentElement.getTable();
+            }
+            return null;
+        }
 
-            // Get container dimensions
-            const containerRect = this._container.getBoundingClientRect();
-            const width = Math.max(400, containerRect.width || 600);
-            const height = Math.max(300, containerRect.height || 400);
-            const margin = { top: 20, right: 30, bottom: 50, left: 60 };
+        // Create a configuration that gets ALL raw data
+        _rawViewConfig(config) {
+            return {
+                // Don't specify columns to get all columns
+                group_by: [], // No grouping
+                split_by: [], // No splitting  
+                aggregates: {}, // No aggregation
+                sort: [], // No sorting
+                filter: config.filter || [] // Keep any existing filters
+            };
+        }
 
-            // Process data for boxplot
-            const processedData = this._processDataForBoxplot(data, config, schema);
+        // Options that need every raw value can't be served from engine aggregates
+        _engineUnsupportedReason() {
+            const { mode, bootstrap, whisker, scale, quantileMethod } = this._settings;
+            if (mode === 'violin') return 'violin mode needs the raw values for density estimation';
+            if (bootstrap) return 'bootstrap confidence intervals need the raw values';
+            if (whisker === 'percentile') return 'percentile whiskers need arbitrary quantiles';
+            if (scale === 'log') return 'log scale needs non-positive values removed per metric';
+            if (+quantileMethod !== 7) return 'the engine computes its own quartiles';
+            return null;
+        }
 
-            if (!processedData || processedData.length === 0) {
-                this._container.innerHTML = '<div style="display: flex; align-items: center; justify-content: center; height: 100%; color: #666;">No numeric data available for boxplot</div>';
-                return;
+        // Builds series from a temporary group_by view whose expression columns alias each metric
+        // once per aggregate. Returns null to fall back to the client-side path.
+        async _getEngineSeries(view, config, schema) {
+            const reason = this._engineUnsupportedReason();
+            if (reason) {
+                console.warn(`Engine aggregation unavailable (${reason}), using raw rows`);
+                return null;
             }
 
+            const table = await this._getTable(view);
+            const columns = this._resolveColumns(config, schema);
+            if (!table || !columns) return null;
 
-            // Create SVG using bundled d3
-            const svg = d3.select(this._container)
-                .append('svg')
-                .attr('width', width)
-                .attr('height', height)
-                .style('background', '#fff')
-                .style('border', '1px solid #ddd');
+            const { numericColumns, groupByColumns, splitByColumns, facetColumn } = columns;
+            const facetLevels = facetColumn ? [facetColumn] : [];
+            const levels = [...facetLevels, ...groupByColumns, ...splitByColumns];
 
-            // Calculate scales
-            const allValues = processedData.flatMap(d => [
-                d.stats.min,
-                d.stats.max,
-                ...d.stats.outliers
-            ]);
+            const expressions = {};
+            const aggregates = {};
+            const aliases = [];
+            const quote = col => `"${col.replace(/"/g, '\\"')}"`;
 
-            const yDomain = d3.extent(allValues);
-            const yRange = yDomain[1] - yDomain[0];
-            const yPadding = yRange * 0.05;
+            // Without any level everything is rolled into one group via a constant expression
+            const groupLevels = levels.length > 0 ? levels : ['__boxplot_all__'];
+            if (levels.length === 0) {
+                expressions.__boxplot_all__ = '1';
+            }
 
-            // X-axis uses the unique group keys (like size_bucket values)
-            const uniqueGroups = [...new Set(processedData.map(d => d.groupKey))];
-            const xScale = d3.scaleBand()
-                .domain(uniqueGroups)
-                .range([margin.left, width - margin.right])
-                .padding(0.2);
+            numericColumns.forEach((metric, metricIndex) => {
+                Object.entries(ENGINE_AGGREGATES).forEach(([stat, aggregate]) => {
+                    const alias = `__boxplot_${metricIndex}_${stat}__`;
+                    expressions[alias] = quote(metric);
+                    aggregates[alias] = aggregate;
+                    aliases.push(alias);
+                });
+            });
 
-            const yScale = d3.scaleLinear()
-                .domain([yDomain[0] - yPadding, yDomain[1] + yPadding])
-                .range([height - margin.bottom, margin.top]);
+            const summaryView = await table.view({
+                group_by: groupLevels,
+                split_by: [],
+                columns: aliases,
+                aggregates,
+                expressions,
+                filter: config.filter || [],
+                sort: []
+            });
 
-            const colorScale = d3.scaleOrdinal(d3.schemeCategory10);
+            let summaryColumns;
+            try {
+                summaryColumns = await summaryView.to_columns();
+            } finally {
+                await summaryView.delete();
+            }
 
-            // Draw axes
-            this._drawAxes(svg, xScale, yScale, { width, height, margin });
+            const rowPaths = summaryColumns.__ROW_PATH__ || [];
+            const { facet } = this._settings;
+            const series = [];
+
+            rowPaths.forEach((rowPath, row) => {
+                // Skip the total and intermediate rollup rows - only leaf groups are boxes
+                if (rowPath.length !== groupLevels.length) return;
+
+                const path = rowPath.map(groupLabel);
+                const facetValue = facetColumn ? path[0] : null;
+                const groupPath = path.slice(facetLevels.length, facetLevels.length + groupByColumns.length);
+                const huePath = path.slice(facetLevels.length + groupByColumns.length, levels.length);
+                // Raw values (numbers, dates, null) for filters; the paths above are display labels
+                const rawValue = v => v === undefined ? null : v;
+                const groupValues = rowPath.slice(facetLevels.length, facetLevels.length + groupByColumns.length).map(rawValue);
+                const hueValues = rowPath.slice(facetLevels.length + groupByColumns.length, levels.length).map(rawValue);
+                const hue = splitByColumns.length > 0 ? huePath.join(GROUP_PATH_SEPARATOR) : null;
+
+                numericColumns.forEach((metric, metricIndex) => {
+                    const summary = { method: 'Perspective engine (q1/median/q3 aggregates)' };
+                    Object.keys(ENGINE_AGGREGATES).forEach(stat => {
+                        summary[stat] = summaryColumns[`__boxplot_${metricIndex}_${stat}__`][row];
+                    });
+                    if (!summary.count) return;
+
+                    const group = groupByColumns.length > 0
+                        ? { label: groupPath[groupPath.length - 1], groupKey: groupPath.join(GROUP_PATH_SEPARATOR), groupPath, groupValues, groupColumns: groupByColumns }
+                        : { label: metric, groupKey: metric, groupPath: [metric], groupValues: [], groupColumns: [] };
+
+                    series.push({
+                        ...group,
+                        metric,
+                        metricIndex,
+                        hue,
+                        huePath,
+                        hueValues,
+                        hueColumns: splitByColumns,
+                        seriesKey: this._seriesKey(metric, hue, numericColumns.length > 1),
+                        facet: facetColumn ? facetValue : (facet === 'metric' ? metric : null),
+                        facetValue: facetColumn ? rawValue(rowPath[0]) : undefined,
+                        levelPath: path.slice(0, levels.length),
+                        summary,
+                        values: [],
+                        stats: summaryStats(summary, this._settings)
+                    });
+                });
+            });
 
-            // Draw boxplots (this also handles colors internally)
-            this._drawBoxplots(svg, processedData, xScale, yScale, colorScale);
+            await this._attachOutlierCandidates(table, config, series, levels);
+            return series;
+        }
 
-            // Add legend (debug the issue)
-            console.log('Drawing legend for data:', processedData.map(d => ({metric: d.metric})));
-            this._drawLegend(svg, processedData, { width, height, margin });
+        // Fetches raw values only beyond the loosest fence per metric and side, then hands each
+        // series the candidates from its own group to place outliers and whisker ends exactly
+        async _attachOutlierCandidates(table, config, series, levels) {
+            const byMetric = d3.group(series, d => d.metric);
+
+            for (const [metric, metricSeries] of byMetric) {
+                const lowFences = metricSeries.filter(d => d.stats.dataMin < d.stats.lowerFence).map(d => d.stats.lowerFence);
+                const highFences = metricSeries.filter(d => d.stats.dataMax > d.stats.upperFence).map(d => d.stats.upperFence);
+                const candidates = new Map();
+
+                const sides = [];
+                if (lowFences.length) sides.push([metric, '<', d3.max(lowFences)]);
+                if (highFences.length) sides.push([metric, '>', d3.min(highFences)]);
+
+                for (const sideFilter of sides) {
+                    const candidateView = await table.view({
+                        columns: [...levels, metric],
+                        group_by: [],
+                        split_by: [],
+                        aggregates: {},
+                        sort: [],
+                        filter: [...(config.filter || []), sideFilter]
+                    });
+                    let candidateColumns;
+                    try {
+                        candidateColumns = await candidateView.to_columns();
+                    } finally {
+                        await candidateView.delete();
+                    }
 
-            // Add click handlers and hover tooltips
-            this._addInteractivity(svg, processedData);
+                    const metricValues = candidateColumns[metric] || [];
+                    metricValues.forEach((value, i) => {
+                        const key = levels.map(col => groupLabel(candidateColumns[col][i])).join(GROUP_PATH_SEPARATOR);
+                        if (!candidates.has(key)) candidates.set(key, []);
+                        candidates.get(key).push(+value);
+                    });
+                }
+
+                metricSeries.forEach(d => {
+                    const values = candidates.get(d.levelPath.join(GROUP_PATH_SEPARATOR)) || [];
+                    d.stats = summaryStats(d.summary, this._settings, values);
+                });
+            }
         }
 
-        _processDataForBoxplot(data, config, schema) {
-            if (!data || data.length === 0) return [];
+        // Full build for streaming mode. The raw view stays open so on_update can feed appended
+        // rows into the sketches. Returns false when the table can't be streamed incrementally,
+        // and true once the draw is handled, including when a newer draw superseded this one.
+        async _drawStreaming(view, config, schema, drawId) {
+            const table = await this._getTable(view);
+            if (drawId !== this._drawId) return true;
+            if (!table) return false;
+
+            // Indexed tables update rows in place, which an append-only row cursor can't see
+            const index = typeof table.get_index === 'function' ? await table.get_index() : null;
+            if (drawId !== this._drawId) return true;
+            if (index) {
+                console.warn(`Streaming statistics need an append-only table; "${index}" is indexed, using full redraws`);
+                return false;
+            }
 
-            // Since we're getting raw data, we always process it as raw
-            return this._processRawData(data, config, schema);
-        }
+            const rawView = await table.view(this._rawViewConfig(config));
+            const rows = drawId === this._drawId ? await rawView.to_columns() : null;
+            if (drawId !== this._drawId) {
+                // A superseded draw must not leave its view (and on_update callback) behind
+                await rawView.delete();
+                return true;
+            }
 
+            this._stream = {
+                view: rawView,
+                config,
+                schema,
+                configKey: this._streamingConfigKey(config),
+                // From the rows actually read: rows appended since would be counted but never ingested
+                rowCount: this._columnsLength(rows),
+                sketches: new Map(),
+                nonPositive: 0,
+                pending: null,
+                dirty: false
+            };
+            this._ingestStreamingRows(rows);
+            this._renderStreaming();
 
-        _processRawData(data, config, schema) {
-            
-            const configColumns = config.columns || [];
-            
-            // Separate numeric and categorical columns from config
-            const numericColumns = [];
-            const categoricalColumns = [];
-            
-            configColumns.forEach(col => {
-                if (schema[col] === 'float' || schema[col] === 'integer') {
-                    numericColumns.push(col);
-                } else if (schema[col] === 'string') {
-                    categoricalColumns.push(col);
-                }
-            });
+            rawView.on_update(() => this._scheduleStreamingUpdate());
+            return true;
+        }
 
+        // Changes to settings that only affect drawing (zooming, hiding series) keep the stream
+        _streamingConfigKey(config) {
+            const settings = Object.fromEntries(Object.entries(this._settings)
+                .filter(([key]) => !VIEW_ONLY_SETTINGS.includes(key)));
+            return JSON.stringify([config, settings]);
+        }
 
-            if (numericColumns.length === 0) {
-                console.warn('No numeric columns found in config.columns');
-                return [];
-            }
+        _columnsLength(columns) {
+            const [first] = Object.values(columns || {});
+            return first ? first.length : 0;
+        }
 
-            // Determine grouping column - several strategies:
-            let groupByColumn = null;
-            
-            // Strategy 1: Use config.group_by if provided (from UI)
-            if (config.group_by && config.group_by.length > 0) {
-                groupByColumn = config.group_by[0];
-                console.log('Using config.group_by for grouping:', groupByColumn);
-            }
-            // Strategy 2: If exactly one categorical column in config.columns, use it for grouping
-            else if (categoricalColumns.length === 1) {
-                groupByColumn = categoricalColumns[0];
-                console.log('Using single categorical column for grouping:', groupByColumn);
-            }
-            // Strategy 3: If multiple categorical columns, let user know they need to be explicit
-            else if (categoricalColumns.length > 1) {
-                console.warn('Multiple categorical columns found. Consider using group_by to specify which to use for x-axis:', categoricalColumns);
-                groupByColumn = categoricalColumns[0]; // Default to first one
-                console.log('Defaulting to first categorical column for grouping:', groupByColumn);
-            }
-            // Strategy 4: No categorical columns - no grouping (single set of boxplots)
-            else {
-                console.log('No categorical columns found - will show metrics without grouping');
+        // Coalesces bursts of on_update callbacks into one read + redraw at a time
+        _scheduleStreamingUpdate() {
+            const stream = this._stream;
+            if (!stream) return;
+
+            if (stream.pending) {
+                stream.dirty = true;
+                return;
             }
 
-            console.log('Metrics to plot:', numericColumns);
+            stream.pending = (async () => {
+                do {
+                    stream.dirty = false;
+                    await this._applyStreamingUpdate(stream);
+                } while (stream.dirty && this._stream === stream);
+                stream.pending = null;
+            })().catch(error => {
+                stream.pending = null;
+                console.error("Error applying streaming update:", error);
+            });
+        }
 
-            const result = [];
+        async _applyStreamingUpdate(stream) {
+            const total = await stream.view.num_rows();
 
-            if (groupByColumn) {
-                // Group data by the grouping variable (like size_bucket)
-                const groups = d3.group(data, d => d[groupByColumn] || 'Unknown');
+            // Rows removed: the sketches can't forget values, so rebuild from scratch. A replace() that
+            // doesn't shrink the table looks like an append (or no change) here - see the README.
+            if (total < stream.rowCount) {
+                return this.draw(this._view);
+            }
+            if (total === stream.rowCount || this._stream !== stream) return;
 
-                console.log('Groups found:', Array.from(groups.keys()));
+            const rows = await stream.view.to_columns({ start_row: stream.rowCount, end_row: total });
+            stream.rowCount += this._columnsLength(rows);
+            this._ingestStreamingRows(rows);
+            this._renderStreaming();
+        }
 
-                for (const [groupKey, groupData] of groups) {
-                    console.log(`Group "${groupKey}" has ${groupData.length} raw data rows`);
-                    
-                    // For each metric, create a separate boxplot within this group
-                    numericColumns.forEach((metricCol, metricIndex) => {
-                        const values = Array.from(groupData)
-                            .map(d => +d[metricCol])
-                            .filter(v => !isNaN(v) && v !== null && v !== undefined)
-                            .sort(d3.ascending);
-
-                        console.log(`Group "${groupKey}" - "${metricCol}" has ${values.length} values, range: ${values[0]} to ${values[values.length-1]}`);
-
-                        if (values.length > 0) {
-                            result.push({
-                                label: groupKey,
-                                metric: metricCol,
-                                metricIndex: metricIndex,
-                                groupKey: groupKey,
-                                values,
-                                stats: this._calculateBoxplotStats(values)
-                            });
-                        }
-                    });
+        // Groups a batch of rows exactly like a full draw and folds each series into its sketch
+        _ingestStreamingRows(rows) {
+            const stream = this._stream;
+            const batch = this._processRawData(rows, stream.config, stream.schema);
+            stream.nonPositive += this._nonPositiveCount;
+
+            batch.forEach(series => {
+                const key = [series.facet, series.groupKey, series.seriesKey].join('\u0000');
+                let entry = stream.sketches.get(key);
+                if (!entry) {
+                    entry = {
+                        series: { ...series, values: null, stats: null, frame: null, rows: null },
+                        digest: new TDigest(this._settings.sketchCompression),
+                        seq: stream.sketches.size
+                    };
+                    stream.sketches.set(key, entry);
                 }
-            } else {
-                // No grouping, show each metric as separate boxplot
-                numericColumns.forEach((metricCol, metricIndex) => {
-                    const values = data
-                        .map(d => +d[metricCol])
-                        .filter(v => !isNaN(v) && v !== null && v !== undefined)
-                        .sort(d3.ascending);
+                entry.digest.addAll(series.values);
+            });
+        }
 
-                    if (values.length > 0) {
-                        result.push({
-                            label: metricCol,
-                            metric: metricCol,
-                            metricIndex: metricIndex,
-                            groupKey: metricCol,
-                            values,
-                            stats: this._calculateBoxplotStats(values)
-                        });
-                    }
+        _renderStreaming() {
+            const stream = this._stream;
+            this._nonPositiveCount = stream.nonPositive;
+            this._renderSeries(this._streamingSeries(stream));
+        }
+
+        // Series rebuilt from the sketches. Groups first seen in a later batch are slotted in next
+        // to their siblings, so nested group_by levels stay contiguous on the axis.
+        _streamingSeries(stream) {
+            const entries = [...stream.sketches.values()];
+            const levels = entry => [entry.series.facet, ...entry.series.groupPath];
+
+            const firstSeen = new Map();
+            entries.forEach(entry => {
+                levels(entry).forEach((_, depth) => {
+                    const prefix = JSON.stringify(levels(entry).slice(0, depth + 1));
+                    if (!firstSeen.has(prefix)) firstSeen.set(prefix, entry.seq);
                 });
-            }
+            });
+            const rank = entry => levels(entry).map((_, depth) =>
+                firstSeen.get(JSON.stringify(levels(entry).slice(0, depth + 1))));
+
+            entries.sort((a, b) => {
+                const ra = rank(a);
+                const rb = rank(b);
+                for (let i = 0; i < Math.min(ra.length, rb.length); i++) {
+                    if (ra[i] !== rb[i]) return ra[i] - rb[i];
+                }
+                return a.seq - b.seq;
+            });
 
-            console.log('Multi-metric boxplot result:', result.map(r => ({
-                group: r.groupKey,
-                metric: r.metric,
-                count: r.values.length,
-                median: r.stats.median
-            })));
+            return entries.map(({ series, digest }) => {
+                const centroids = digest.centroids();
+                return {
+                    ...series,
+                    // Centroids stand in for the raw sample wherever individual values are drawn
+                    values: centroids.map(c => c.mean),
+                    weights: centroids.map(c => c.weight),
+                    stats: sketchStats(digest, this._settings)
+                };
+            });
+        }
 
-            return result;
+        async _releaseStreamingView() {
+            const stream = this._stream;
+            this._stream = null;
+            if (stream) {
+                await stream.view.delete();
+            }
         }
 
-        _calculateBoxplotStats(values) {
-            if (!values || values.length === 0) return null;
+        async _renderBoxplot(data, config, schema, drawId) {
+            // Process data for boxplot; sorting and statistics move to the worker when enabled
+            const deferStats = this._settings.statsWorker && !this._statsWorkerFailed && typeof Worker !== 'undefined';
+            const processedData = this._processDataForBoxplot(data, config, schema, { deferStats });
 
-            const sortedValues = [...values].sort(d3.ascending);
-            const n = sortedValues.length;
+            if (deferStats && processedData.length > 0) {
+                const results = await this._computeStatsOffThread(processedData);
 
-            const q1 = d3.quantile(sortedValues, 0.25);
-            const median = d3.quantile(sortedValues, 0.5);
-            const q3 = d3.quantile(sortedValues, 0.75);
-            const mean = d3.mean(sortedValues);
+                // A newer draw cancelled this computation - leave rendering to it
+                if (!results || drawId !== this._drawId) return;
 
-            const iqr = q3 - q1;
-            const lowerFence = q1 - 1.5 * iqr;
-            const upperFence = q3 + 1.5 * iqr;
+                processedData.forEach((series, i) => {
+                    series.values = results[i].sorted;
+                    series.stats = results[i].stats;
+                });
+            }
 
-            const min = sortedValues.find(v => v >= lowerFence) || sortedValues[0];
-            const max = [...sortedValues].reverse().find(v => v <= upperFence) || sortedValues[n - 1];
+            this._renderSeries(processedData);
+        }
 
-            const outliers = sortedValues.filter(v => v < lowerFence || v > upperFence);
+        // Sorts and summarises every series in the stats worker. Values travel as transferred
+        // Float64Array buffers in both directions. Starting a new computation terminates one
+        // still running, whose promise then resolves to null.
+        async _computeStatsOffThread(processedData) {
+            if (this._statsJob) {
+                this._statsJob.cancel();
+            }
 
-            return {
-                min, max, q1, median, q3, mean, outliers, count: n
-            };
-        }
+            let worker;
+            try {
+                worker = this._statsWorker || (this._statsWorker = new Worker(
+                    new URL('./stats-worker.js', import.meta.url)
+                ));
+            } catch (error) {
+                console.warn('Stats worker unavailable, computing on the main thread:', error);
+                return this._computeStatsOnMainThread(processedData);
+            }
 
-        _drawAxes(svg, xScale, yScale, settings) {
-            const { margin, width, height } = settings;
+            const buffers = processedData.map(series => series.values);
+            const id = ++statsJobCounter;
 
-            // Y-axis grid lines
-            svg.selectAll('.grid-line')
-                .data(yScale.ticks(8))
-                .enter()
-                .append('line')
-                .attr('class', 'grid-line')
-                .attr('x1', margin.left)
-                .attr('x2', width - margin.right)
-                .attr('y1', yScale)
-                .attr('y2', yScale)
-                .attr('stroke', '#e5e7eb')
-                .attr('stroke-dasharray', '2,2');
+            return new Promise(resolve => {
+                const job = {
+                    cancel: () => {
+                        worker.terminate();
+                        this._statsWorker = null;
+                        this._statsJob = null;
+                        resolve(null);
+                    }
+                };
+                this._statsJob = job;
 
-            // Y-axis labels
-            svg.selectAll('.y-label')
-                .data(yScale.ticks(8))
-                .enter()
-                .append('text')
-                .attr('class', 'y-label')
-                .attr('x', margin.left - 10)
-                .attr('y', yScale)
-                .attr('text-anchor', 'end')
-                .attr('alignment-baseline', 'middle')
-                .style('font-size', '12px')
-                .style('fill', '#666')
-                .text(d => d);
+                worker.onmessage = event => {
+                    if (event.data.id !== id) return;
+                    this._statsJob = null;
+                    resolve(event.data.results);
+                };
+                worker.onerror = error => {
+                    // The values were transferred away, so redraw with the worker switched off
+                    console.warn('Stats worker failed, computing on the main thread:', error);
+                    worker.terminate();
+                    this._statsWorker = null;
+                    this._statsJob = null;
+                    this._statsWorkerFailed = true;
+                    resolve(null);
+                    this.draw(this._view);
+                };
 
-            // X-axis line
-            svg.append('line')
-                .attr('x1', margin.left)
-                .attr('x2', width - margin.right)
-                .attr('y1', height - margin.bottom)
-                .attr('y2', height - margin.bottom)
-                .attr('stroke', '#374151');
+                worker.postMessage(
+                    { id, options: { ...this._settings }, values: buffers },
+                    buffers.map(values => values.buffer)
+                );
+            });
+        }
 
-            // X-axis labels
-            svg.selectAll('.x-label')
-                .data(xScale.domain())
-                .enter()
-                .append('text')
-                .attr('class', 'x-label')
-                .attr('x', d => xScale(d) + xScale.bandwidth() / 2)
-                .attr('y', height - margin.bottom + 20)
-                .attr('text-anchor', 'middle')
-                .style('font-size', '12px')
-                .style('fill', '#333')
-                .text(d => d.length > 15 ? d.substring(0, 15) + '...' : d);
+        _computeStatsOnMainThread(processedData) {
+            return processedData.map(series => {
+                const sorted = Float64Array.from(series.values).sort();
+                return { sorted, stats: boxplotStats(sorted, this._settings) };
+            });
         }
 
-        _drawLegend(svg, processedData, settings) {
-            const { width, margin } = settings;
-            
-            // Show legend for metrics only
-            const allMetrics = [...new Set(processedData.map(d => d.metric))];
-            
-            console.log('Legend - allMetrics:', allMetrics);
-            console.log('Legend - processedData sample:', processedData.slice(0, 2));
-            
-            if (allMetrics.length <= 1) {
-                console.log('Skipping legend - only one metric or less');
-                return; 
+        _renderSeries(processedData) {
+            // Use bundled d3 (imported at top of file)
+            // Clear previous content, keeping the settings panel so a tick doesn't close an open
+            // select or drop a half-typed value
+            Array.from(this._container.childNodes)
+                .filter(node => !this._settingsPanel || node !== this._settingsPanel.node())
+                .forEach(node => node.remove());
+
+            // Kept so a theme change can repaint without going back to the table
+            this._renderedSeries = processedData;
+            const theme = this._theme = this._readTheme();
+
+            // Get container dimensions
+            const containerRect = this._container.getBoundingClientRect();
+            const width = Math.max(400, containerRect.width || 600);
+            const height = Math.max(300, containerRect.height || 400);
+            const margin = { top: 20, right: 30, bottom: 50, left: 60 };
+
+            if (!processedData || processedData.length === 0) {
+                const reason = this._nonPositiveCount > 0
+                    ? 'Log scale needs positive values - all values are zero or negative'
+                    : 'No numeric data available for boxplot';
+                this._container.insertAdjacentHTML('beforeend', `<div style="display: flex; align-items: center; justify-content: center; height: 100%; color: var(--inactive--color, #666);">${reason}</div>`);
+                // Still reachable, so an option that emptied the chart (e.g. a log scale) can be undone
+                this._drawSettingsPanel();
+                return;
             }
-            
-            const metricColorScale = d3.scaleOrdinal(d3.schemeCategory10).domain(allMetrics);
 
-            // Position legend more safely within the chart area
-            const legendX = width - 120; // Fixed position from right edge
-            const legendY = margin.top;
-            
-            console.log(`Legend position: ${legendX}, ${legendY}`);
+            processedData = this._orderSeries(processedData);
 
-            const legendG = svg.append('g')
-                .attr('class', 'legend')
-                .attr('transform', `translate(${legendX}, ${legendY})`);
-
-            // Add legend background for visibility
-            const legendBg = legendG.append('rect')
-                .attr('x', -5)
-                .attr('y', -5)
-                .attr('width', 110)
-                .attr('height', allMetrics.length * 30 + 10)
-                .attr('fill', 'white')
-                .attr('fill-opacity', 0.9)
-                .attr('stroke', '#ccc')
-                .attr('stroke-width', 1)
-                .attr('rx', 4);
-
-            const legendItemHeight = 30;
-            
-            allMetrics.forEach((metric, i) => {
-                console.log(`Creating legend item ${i}: ${metric}`);
-                
-                const itemG = legendG.append('g')
-                    .attr('transform', `translate(0, ${i * legendItemHeight})`);
-
-                // Color box
-                itemG.append('rect')
-                    .attr('x', 5)
-                    .attr('y', 5)
-                    .attr('width', 16)
-                    .attr('height', 16)
-                    .attr('fill', metricColorScale(metric))
-                    .attr('fill-opacity', 0.7)
-                    .attr('stroke', metricColorScale(metric))
-                    .attr('stroke-width', 2);
+            // Every series keeps its colour and legend entry while hidden. If the saved hidden set
+            // would leave nothing (e.g. the view changed since), everything is shown instead.
+            const seriesKeys = [...new Set(processedData.map(d => d.seriesKey))];
+            const hidden = new Set(this._settings.hiddenSeries.filter(key => seriesKeys.includes(key)));
+            this._hiddenSeries = hidden.size < seriesKeys.length ? hidden : new Set();
+            processedData = processedData.filter(d => !this._hiddenSeries.has(d.seriesKey));
 
-                // Label text
-                const textEl = itemG.append('text')
-                    .attr('x', 28)
-                    .attr('y', 16)
-                    .style('font-family', 'Arial, sans-serif')
-                    .style('font-size', '14px')
-                    .style('fill', '#333')
-                    .style('font-weight', 'bold')
-                    .text(metric);
-                    
-                console.log(`Added text for ${metric}:`, textEl.text());
-            });
-            
-            console.log('Legend created successfully');
-        }
+            // Dense point layers are painted on a canvas under the svg instead of one <circle> each
+            const pointCount = d3.sum(processedData, d => this._overlayValues(d)?.length ?? d.stats.outliers.length);
+            const pointLayer = this._usesCanvasPoints(pointCount) ? this._createPointLayer(width, height) : null;
 
-        _drawBoxplots(svg, processedData, xScale, yScale, colorScale) {
-            console.log('Drawing multi-metric boxplots for', processedData.length, 'boxes');
+            // Create SVG using bundled d3
+            const svg = d3.select(this._container)
+                .append('svg')
+                .attr('width', width)
+                .attr('height', height)
+                .style('background', pointLayer ? 'transparent' : theme.background)
+                .style('border', `1px solid ${theme.border}`);
 
-            // Group data by x-axis groups first
-            const groupedByX = d3.group(processedData, d => d.groupKey);
-            
-            // Create color scale for metrics
-            const allMetrics = [...new Set(processedData.map(d => d.metric))];
-            const metricColorScale = d3.scaleOrdinal(d3.schemeCategory10).domain(allMetrics);
-            
-            console.log('Drawing boxplots for groups:', Array.from(groupedByX.keys()));
-            console.log('Metrics:', allMetrics);
+            if (pointLayer) {
+                // Positioned so it stacks above the (absolutely positioned) canvas
+                svg.style('position', 'relative');
+            }
 
-            for (const [groupKey, groupData] of groupedByX) {
-                const groupBaseX = xScale(groupKey);
-                const groupWidth = xScale.bandwidth();
-                
-                // Calculate how many boxes (metrics) we have in this group
-                const metricsInGroup = groupData.length;
-                const boxWidth = Math.max(20, (groupWidth / metricsInGroup) - 5);
-                
-                console.log(`Group "${groupKey}" has ${metricsInGroup} metrics`);
-                
-                groupData.forEach((seriesData, metricIndex) => {
-                    const { stats, metric } = seriesData;
-                    
-                    // Position the box within the group (side by side for different metrics)
-                    const boxX = groupBaseX + (metricIndex * groupWidth / metricsInGroup);
-                    const centerX = boxX + boxWidth / 2;
-                    
-                    // Color by metric (qlsSpread vs aggSpread)
-                    const color = metricColorScale(metric);
+            // One colour per series: the metric, or the split_by hue when the view is split
+            const colorScale = d3.scaleOrdinal(PALETTES[this._settings.palette] || theme.palette).domain(seriesKeys);
+
+            // Tests run on the series shown, so the correction counts only the brackets drawn
+            const significance = this._significance(processedData);
+
+            // The legend takes its space first; panels share what is left
+            const legend = this._legendLayout(seriesKeys, width, height, margin);
+            const plot = legend ? legend.plot : { x: 0, y: 0, width, height };
+
+            // Facets lay out a grid of panels; without faceting there is a single full-size panel
+            const { facetScale, facetColumns } = this._settings;
+            const facets = [...new Set(processedData.map(d => d.facet))];
+            const faceted = facets[0] !== null;
+            const gridCols = Math.max(1, Math.min(facets.length, facetColumns || Math.ceil(Math.sqrt(facets.length))));
+            const gridRows = Math.ceil(facets.length / gridCols);
+            const panelWidth = plot.width / gridCols;
+            const panelHeight = plot.height / gridRows;
+            const sharedYDomain = this._valueDomain(processedData);
+            const horizontal = this._settings.orientation === 'horizontal';
+
+            // Zooming needs one value scale for every panel
+            const zoomable = facets.length === 1 || facetScale !== 'independent';
+            const zoomDomain = zoomable ? this._validZoomDomain() : null;
+
+            // Every panel reserves the same room for test results, so shared value axes line up
+            const panelTests = new Map(facets.map(facetKey => [facetKey, {
+                brackets: this._layoutBrackets(
+                    significance.comparisons.filter(c => c.facet === facetKey),
+                    processedData.filter(d => d.facet === facetKey),
+                    colorScale
+                ),
+                omnibus: significance.omnibus.filter(o => o.facet === facetKey)
+            }]));
+            const bracketLanes = d3.max(panelTests.values(), t => t.brackets.lanes);
+            const omnibusLines = d3.max(panelTests.values(), t => t.omnibus.length);
+
+            const panels = facets.map((facetKey, i) => {
+                const col = i % gridCols;
+                const row = Math.floor(i / gridCols);
+                const panelData = processedData.filter(d => d.facet === facetKey);
+
+                return this._drawPanel(svg, panelData, {
+                    x: plot.x + col * panelWidth,
+                    y: plot.y + row * panelHeight,
+                    width: panelWidth,
+                    height: panelHeight,
+                    margin: { ...margin, top: faceted ? margin.top + 16 : margin.top }
+                }, {
+                    title: faceted ? facetKey : null,
+                    yDomain: facetScale === 'independent' ? this._valueDomain(panelData) : sharedYDomain,
+                    visibleDomain: zoomDomain,
+                    // With a shared scale only the outer column/row repeats the value tick labels
+                    showValueLabels: facetScale === 'independent' || (horizontal ? row === gridRows - 1 : col === 0),
+                    colorScale,
+                    pointLayer,
+                    ...panelTests.get(facetKey),
+                    bracketLanes,
+                    omnibusLines
+                });
+            });
 
-                    console.log(`Drawing "${metric}" box for group "${groupKey}" at x=${centerX}`);
+            if (pointLayer) {
+                this._paintPointLayer(pointLayer);
+            }
 
-                    const g = svg.append('g')
-                        .attr('class', 'boxplot-group')
-                        .attr('data-group', groupKey)
-                        .attr('data-metric', metric);
+            const warnings = [];
+            if (this._nonPositiveCount > 0) {
+                warnings.push(`Log scale: ${this._nonPositiveCount} zero or negative value${this._nonPositiveCount === 1 ? '' : 's'} cannot be shown and ${this._nonPositiveCount === 1 ? 'is' : 'are'} excluded from the statistics`);
+                console.warn(warnings[warnings.length - 1]);
+            }
+            const { scale, domainMin } = this._settings;
+            if (scale === 'log' && domainMin !== null && domainMin !== undefined && !(domainMin > 0)) {
+                warnings.push(`Log scale: fixed minimum ${domainMin} is not positive and was ignored`);
+            }
+            warnings.push(...significance.warnings);
+            this._drawWarnings(warnings);
 
-                    // Whiskers
-                    g.append('line')
-                        .attr('x1', centerX)
-                        .attr('x2', centerX)
-                        .attr('y1', yScale(stats.min))
-                        .attr('y2', yScale(stats.q1))
-                        .attr('stroke', color)
-                        .attr('stroke-width', 2);
+            // Add legend, common to every panel
+            if (legend) {
+                this._drawLegend(svg, legend, colorScale, seriesKeys);
+            }
 
-                    g.append('line')
-                        .attr('x1', centerX)
-                        .attr('x2', centerX)
-                        .attr('y1', yScale(stats.q3))
-                        .attr('y2', yScale(stats.max))
-                        .attr('stroke', color)
-                        .attr('stroke-width', 2);
-
-                    // Whisker caps
-                    const capWidth = boxWidth * 0.4;
-                    g.append('line')
-                        .attr('x1', centerX - capWidth/2)
-                        .attr('x2', centerX + capWidth/2)
-                        .attr('y1', yScale(stats.min))
-                        .attr('y2', yScale(stats.min))
-                        .attr('stroke', color)
-                        .attr('stroke-width', 2);
+            // Add click handlers and hover tooltips
+            const tooltip = this._addInteractivity(svg, processedData, pointLayer);
 
-                    g.append('line')
-                        .attr('x1', centerX - capWidth/2)
-                        .attr('x2', centerX + capWidth/2)
-                        .attr('y1', yScale(stats.max))
-                        .attr('y2', yScale(stats.max))
-                        .attr('stroke', color)
-                        .attr('stroke-width', 2);
-
-                    // Box (IQR)
-                    g.append('rect')
-                        .attr('x', boxX)
-                        .attr('y', yScale(stats.q3))
-                        .attr('width', boxWidth)
-                        .attr('height', yScale(stats.q1) - yScale(stats.q3))
-                        .attr('fill', color)
-                        .attr('fill-opacity', 0.3)
-                        .attr('stroke', color)
-                        .attr('stroke-width', 2);
-
-                    // Median line
-                    g.append('line')
-                        .attr('x1', boxX)
-                        .attr('x2', boxX + boxWidth)
-                        .attr('y1', yScale(stats.median))
-                        .attr('y2', yScale(stats.median))
-                        .attr('stroke', '#333')
-                        .attr('stroke-width', 3);
-
-                    // Mean point
-                    g.append('circle')
-                        .attr('cx', centerX)
-                        .attr('cy', yScale(stats.mean))
-                        .attr('r', 4)
-                        .attr('fill', 'white')
-                        .attr('stroke', color)
-                        .attr('stroke-width', 2);
-
-                    // Outliers
-                    if (stats.outliers && stats.outliers.length > 0) {
-                        g.selectAll('.outlier')
-                            .data(stats.outliers)
-                            .enter()
-                            .append('circle')
-                            .attr('class', 'outlier')
-                            .attr('cx', () => centerX + (Math.random() - 0.5) * boxWidth * 0.6)
-                            .attr('cy', yScale)
-                            .attr('r', 3)
-                            .attr('fill', color)
-                            .attr('fill-opacity', 0.7)
-                            .attr('stroke', 'white')
-                            .attr('stroke-width', 1);
+            this._drawOutlierPanel(processedData);
+            this._drawSettingsPanel();
+
+            if (zoomable) {
+                this._addValueZoom(panels, processedData, () => {
+                    if (pointLayer) {
+                        this._paintPointLayer(pointLayer);
                     }
+                    this._bindBoxEvents(svg.selectAll('.boxplot-group'), processedData, tooltip, pointLayer);
                 });
             }
         }
 
-        _addInteractivity(svg, processedData) {
-            const self = this;
-            
-            // Create tooltip div
-            const tooltip = d3.select(this._container)
-                .append('div')
-                .style('position', 'absolute')
-                .style('background', 'rgba(0, 0, 0, 0.8)')
-                .style('color', 'white')
-                .style('padding', '8px 12px')
-                .style('border-radius', '4px')
-                .style('font-size', '12px')
+        // Pairwise tests for the significance brackets, and Kruskal–Wallis per series, run on the
+        // raw values already sorted for the statistics. p-values are adjusted across every
+        // comparison in the chart, not per panel.
+        _significance(processedData) {
+            const { significanceTest, significancePairs, significanceCorrection, significanceOmnibus } = this._settings;
+            const result = { comparisons: [], omnibus: [], warnings: [] };
+            if (significanceTest === 'none' && !significanceOmnibus) return result;
+
+            // Engine summaries and streaming sketches don't keep the sample
+            const hasSample = d => d.values?.length > 0 && !d.weights;
+            if (!processedData.some(hasSample)) {
+                result.warnings.push('Significance tests need the raw values, which engine aggregation and streaming mode do not keep');
+                return result;
+            }
+
+            const runTest = significanceTest === 'welch' ? welchTTest : mannWhitneyU;
+
+            for (const [facet, panelData] of d3.group(processedData, d => d.facet)) {
+                const tested = panelData.filter(hasSample);
+                const bySeries = d3.group(tested, d => d.seriesKey);
+
+                if (significanceOmnibus) {
+                    for (const [seriesKey, boxes] of bySeries) {
+                        // With two groups it says no more than the Mann–Whitney test
+                        if (boxes.length < 3) continue;
+                        const test = kruskalWallis(boxes.map(d => d.values));
+                        if (test) result.omnibus.push({ facet, seriesKey, ...test });
+                    }
+                }
+
+                if (significanceTest === 'none') continue;
+                this._comparisonPairs(tested, bySeries, significancePairs, result.warnings).forEach(([a, b]) => {
+                    const test = runTest(a.values, b.values);
+                    if (test) result.comparisons.push({ facet, a, b, ...test });
+                });
+            }
+
+            const adjusted = adjustPValues(result.comparisons.map(c => c.p), significanceCorrection);
+            result.comparisons.forEach((c, i) => { c.pAdjusted = adjusted[i]; });
+            return result;
+        }
+
+        // Pairs of boxes to compare within one panel. 'adjacent' and 'all' compare the same series
+        // across groups. Explicit pairs name two groups (compared on every series they share) or
+        // single boxes as { group, series }.
+        _comparisonPairs(tested, bySeries, pairs, warnings) {
+            if (Array.isArray(pairs)) {
+                const box = (group, series) => tested.find(d => d.groupKey === group && d.seriesKey === series);
+                const side = s => typeof s === 'string' ? { group: s } : s;
+                return pairs.flatMap(pair => {
+                    const [a, b] = pair.map(side);
+                    const seriesPairs = a.series !== undefined || b.series !== undefined
+                        ? [[a.series ?? b.series, b.series ?? a.series]]
+                        : [...bySeries.keys()].map(key => [key, key]);
+                    return seriesPairs
+                        .map(([seriesA, seriesB]) => [box(a.group, seriesA), box(b.group, seriesB)])
+                        .filter(([boxA, boxB]) => boxA && boxB && boxA !== boxB);
+                });
+            }
+
+            let mode = pairs;
+            if (mode === 'all' && d3.max(bySeries.values(), boxes => boxes.length) > MAX_ALL_PAIRS_GROUPS) {
+                const warning = `Too many groups to compare every pair (at most ${MAX_ALL_PAIRS_GROUPS}); comparing adjacent groups`;
+                if (!warnings.includes(warning)) warnings.push(warning);
+                mode = 'adjacent';
+            }
+
+            return [...bySeries.values()].flatMap(boxes => mode === 'all'
+                ? d3.merge(boxes.map((a, i) => boxes.slice(i + 1).map(b => [a, b])))
+                : d3.pairs(boxes));
+        }
+
+        // Stacks brackets into lanes so overlapping ones don't collide, shorter spans nearest the
+        // boxes. Spans are measured in box ranks along the axis (group order, then series slot),
+        // so lanes are known before any panel is laid out.
+        _layoutBrackets(comparisons, panelData, colorScale) {
+            const multiSeries = new Set(panelData.map(d => d.seriesKey)).size > 1;
+            if (comparisons.length === 0) return { items: [], lanes: 0, multiSeries };
+
+            const groupIndex = new Map([...new Set(panelData.map(d => d.groupKey))].map((key, i) => [key, i]));
+            const slotIndex = new Map(colorScale.domain().map((key, i) => [key, i]));
+            const ranked = panelData.slice().sort((a, b) =>
+                groupIndex.get(a.groupKey) - groupIndex.get(b.groupKey) || slotIndex.get(a.seriesKey) - slotIndex.get(b.seriesKey));
+            const rank = new Map(ranked.map((d, i) => [d, i]));
+
+            const items = comparisons
+                .map(comparison => {
+                    const [r0, r1] = [rank.get(comparison.a), rank.get(comparison.b)].sort(d3.ascending);
+                    return { comparison, r0, r1 };
+                })
+                .sort((p, q) => (p.r1 - p.r0) - (q.r1 - q.r0) || p.r0 - q.r0);
+
+            const lanes = [];
+            items.forEach(item => {
+                // Brackets ending on the same box overlap too
+                let lane = lanes.findIndex(spans => spans.every(s => item.r0 > s.r1 || item.r1 < s.r0));
+                if (lane < 0) {
+                    lane = lanes.length;
+                    lanes.push([]);
+                }
+                lanes[lane].push(item);
+                item.lane = lane;
+            });
+
+            return { items, lanes: lanes.length, multiSeries };
+        }
+
+        // Bracket ends sit at the centres of the compared boxes
+        _drawBrackets(content, { items, multiSeries }, boxPositions, { width, margin, horizontal, laneSize, colorScale }) {
+            const center = d => boxPositions.get(d).boxX + boxPositions.get(d).boxWidth / 2;
+
+            const { significanceLabel, significanceCorrection } = this._settings;
+            const testNames = { 'mann-whitney': 'Mann–Whitney U', welch: "Welch's t" };
+            const correctionNames = { bonferroni: 'Bonferroni', holm: 'Holm', bh: 'Benjamini–Hochberg' };
+            const leg = 5;
+            // Lane 0 is nearest the plot, later lanes further out along the value axis
+            const lanePosition = lane => horizontal
+                ? width - margin.right + 8 + lane * laneSize
+                : margin.top - 6 - lane * laneSize;
+
+            const g = content.append('g').attr('class', 'significance-brackets');
+            items.forEach(({ comparison, lane }) => {
+                const { a, b, test, statistic, df, p, pAdjusted } = comparison;
+                const [x0, x1] = [center(a), center(b)].sort(d3.ascending);
+                const v = lanePosition(lane);
+                const legEnd = horizontal ? v - leg : v + leg;
+                // Brackets in a panel with several series take the compared series' colour
+                const color = multiSeries ? colorScale(a.seriesKey) : this._theme.mutedText;
+
+                const bracket = g.append('g').attr('class', 'significance-bracket');
+                bracket.append('path')
+                    .attr('d', horizontal
+                        ? `M${legEnd},${x0}H${v}V${x1}H${legEnd}`
+                        : `M${x0},${legEnd}V${v}H${x1}V${legEnd}`)
+                    .attr('fill', 'none')
+                    .attr('stroke', color)
+                    .attr('stroke-width', 1);
+                bracket.append('text')
+                    .attr('x', horizontal ? v + 3 : (x0 + x1) / 2)
+                    .attr('y', horizontal ? (x0 + x1) / 2 : v - 2)
+                    .attr('text-anchor', horizontal ? 'start' : 'middle')
+                    .attr('dominant-baseline', horizontal ? 'middle' : null)
+                    .style('font-size', '10px')
+                    .style('fill', this._theme.text)
+                    .text(significanceLabel === 'p' ? formatPValue(pAdjusted) : significanceStars(pAdjusted));
+
+                bracket.append('title').text([
+                    `${a.seriesKey}: ${a.groupKey} vs ${b.seriesKey === a.seriesKey ? '' : `${b.seriesKey}: `}${b.groupKey}`,
+                    `${testNames[test]}: ${test === 'welch' ? 't' : 'U'} = ${+statistic.toFixed(3)}${df ? `, df = ${df.toFixed(1)}` : ''}, ${formatPValue(p)}`,
+                    significanceCorrection !== 'none' ? `${correctionNames[significanceCorrection]}-adjusted ${formatPValue(pAdjusted)}` : null,
+                    `n = ${a.values.length} vs ${b.values.length}`
+                ].filter(Boolean).join('\n'));
+            });
+        }
+
+        // Puts the series in x-axis order. The category axis (and the facet panels) follow the order
+        // groups first appear in, so sorting the series array is all it takes.
+        _orderSeries(processedData) {
+            const { by, direction } = this._settings.groupOrder;
+            const viewSort = this._groupLevelSort(processedData);
+            if (by === 'data' && viewSort.size === 0) return processedData;
+
+            // Each facet panel is ordered by its own statistics; facets keep their order
+            return [...d3.group(processedData, d => d.facet).values()]
+                .flatMap(panel => this._orderLevel(panel, 0, by, direction, viewSort));
+        }
+
+        // Sort direction per group_by level from the viewer's own `sort`, where it names a grouping column
+        _groupLevelSort(processedData) {
+            const groupColumns = processedData[0]?.groupColumns || [];
+            const levels = new Map();
+            (this._viewSort || []).forEach(([column, sortDir]) => {
+                const level = groupColumns.indexOf(column);
+                // 'col asc'/'col desc' sort split_by columns, not rows
+                if (level < 0 || typeof sortDir !== 'string' || sortDir.startsWith('col')) return;
+                if (sortDir.startsWith('asc') || sortDir.startsWith('desc')) {
+                    levels.set(level, sortDir.startsWith('desc') ? 'desc' : 'asc');
+                }
+            });
+            return levels;
+        }
+
+        // Sorts siblings at one group_by level and recurses into each, so nested children stay
+        // together under their parent. An outer group's statistic pools every box beneath it:
+        // counts are summed, the other statistics averaged.
+        _orderLevel(series, level, by, direction, viewSort) {
+            const children = [...d3.group(series, d => d.groupPath[level]).entries()];
+            if (children.length === 0 || series.every(d => d.groupPath.length <= level)) return series;
+
+            const statistic = {
+                median: subtree => d3.mean(subtree, d => d.stats.median),
+                mean: subtree => d3.mean(subtree, d => d.stats.mean),
+                iqr: subtree => d3.mean(subtree, d => d.stats.iqr),
+                count: subtree => d3.sum(subtree, d => d.stats.count)
+            }[by];
+            const byLabel = (a, b) => String(a[0]).localeCompare(String(b[0]), undefined, { numeric: true });
+
+            let compare = null;
+            let descending = direction === 'desc';
+            if (statistic) {
+                const keys = new Map(children.map(([key, subtree]) => [key, statistic(subtree)]));
+                compare = (a, b) => d3.ascending(keys.get(a[0]), keys.get(b[0]));
+            } else if (by === 'label') {
+                compare = byLabel;
+            } else if (viewSort.has(level)) {
+                compare = byLabel;
+                descending = viewSort.get(level) === 'desc';
+            }
+
+            if (compare) {
+                // Array sort is stable, so ties keep their data order
+                children.sort((a, b) => descending ? compare(b, a) : compare(a, b));
+            }
+
+            return children.flatMap(([, subtree]) => this._orderLevel(subtree, level + 1, by, direction, viewSort));
+        }
+
+        // Persisted zoom window, if it can be shown on the current scale
+        _validZoomDomain() {
+            const { zoomDomain, scale } = this._settings;
+            if (!Array.isArray(zoomDomain) || zoomDomain.length !== 2) return null;
+
+            const [lo, hi] = zoomDomain.map(Number);
+            if (!isFinite(lo) || !isFinite(hi) || lo >= hi) return null;
+            if (scale === 'log' && lo <= 0) return null;
+            return [lo, hi];
+        }
+
+        // d3-zoom on each panel, restricted to the value axis. Every panel shares one value window,
+        // so a gesture in one panel moves the others' zoom state to match before all are redrawn.
+        _addValueZoom(panels, processedData, onRendered) {
+            const horizontal = this._settings.orientation === 'horizontal';
+            let syncing = false;
+            let frame = null;
+            let pending = null;
+
+            const rescale = (panel, transform) => horizontal
+                ? transform.rescaleX(panel.baseScale)
+                : transform.rescaleY(panel.baseScale);
+
+            // Transform that makes a panel's base scale show [lo, hi] across its whole range
+            const transformFor = (panel, [lo, hi]) => {
+                const [r0, r1] = panel.baseScale.range();
+                const a = panel.baseScale(lo);
+                const b = panel.baseScale(hi);
+                const k = (r1 - r0) / (b - a);
+                const offset = r0 - k * a;
+                return horizontal
+                    ? d3.zoomIdentity.translate(offset, 0).scale(k)
+                    : d3.zoomIdentity.translate(0, offset).scale(k);
+            };
+
+            // Redraws are coalesced to one per animation frame while a gesture is in progress
+            const render = domain => {
+                pending = domain;
+                if (frame !== null) return;
+                frame = requestAnimationFrame(() => {
+                    frame = null;
+                    panels.forEach(panel => panel.render(pending));
+                    onRendered();
+                });
+            };
+
+            const zoomTo = (domain, source = null) => {
+                syncing = true;
+                panels.forEach(panel => {
+                    if (panel !== source) {
+                        panel.target.call(panel.zoom.transform, domain ? transformFor(panel, domain) : d3.zoomIdentity);
+                    }
+                });
+                syncing = false;
+
+                this._settings.zoomDomain = domain;
+                render(domain || panels[0].baseScale.domain());
+            };
+
+            panels.forEach(panel => {
+                panel.zoom = d3.zoom()
+                    .scaleExtent([0.5, 1000])
+                    .on('zoom', event => {
+                        if (syncing) return;
+                        zoomTo(rescale(panel, event.transform).domain(), panel);
+                    });
+
+                panel.target
+                    .call(panel.zoom)
+                    .on('dblclick.zoom', null);
+            });
+
+            // Restore any persisted window without triggering a redraw
+            const initial = this._validZoomDomain();
+            if (initial) {
+                syncing = true;
+                panels.forEach(panel => panel.target.call(panel.zoom.transform, transformFor(panel, initial)));
+                syncing = false;
+            }
+
+            this._drawZoomControls({
+                fitWhiskers: () => zoomTo(this._whiskerDomain(processedData)),
+                reset: () => zoomTo(null)
+            });
+        }
+
+        // Value extent of the whiskers alone, so a few extreme outliers can't flatten the boxes
+        _whiskerDomain(processedData) {
+            const extent = d3.extent(processedData.flatMap(d => [d.stats.min, d.stats.max]));
+            return padValueDomain(this._settings.scale, extent);
+        }
+
+        _drawZoomControls({ fitWhiskers, reset }) {
+            this._toolbarButton('Fit whiskers', 'Zoom to the whiskers, ignoring outliers', fitWhiskers);
+            this._toolbarButton('Reset zoom', 'Show the whole value range', reset);
+        }
+
+        // Small row of buttons in the chart's top-left corner, created on first use after each render
+        _toolbarButton(label, title, action) {
+            let toolbar = d3.select(this._container).select('.boxplot-toolbar');
+            if (toolbar.empty()) {
+                toolbar = d3.select(this._container)
+                    .append('div')
+                    .attr('class', 'boxplot-toolbar')
+                    .style('position', 'absolute')
+                    .style('left', '4px')
+                    .style('top', '2px')
+                    .style('display', 'flex')
+                    .style('gap', '4px');
+            }
+
+            return toolbar.append('button')
+                .attr('type', 'button')
+                .attr('title', title)
+                .style('font-size', '11px')
+                .style('padding', '1px 6px')
+                .style('cursor', 'pointer')
+                .text(label)
+                .on('click', action);
+        }
+
+        // Colours from the host viewer's theme CSS variables, falling back to the light defaults.
+        // Custom properties inherit, so the plugin element sees whichever theme the viewer applies.
+        _readTheme() {
+            const style = getComputedStyle(this);
+            const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+
+            // The theme's series ramp, --d3fc-series-1 ... --d3fc-series-N, as used by Perspective's own charts
+            const palette = [];
+            for (let i = 1; i <= 32; i++) {
+                const color = read(`--d3fc-series-${i}`, null);
+                if (!color) break;
+                palette.push(color);
+            }
+
+            const background = read('--plugin--background', '#fff');
+            return {
+                background,
+                text: style.color || '#333',
+                mutedText: read('--inactive--color', '#666'),
+                border: read('--inactive--border-color', '#ddd'),
+                bracket: read('--inactive--border-color', '#9ca3af'),
+                gridline: read('--d3fc-gridline--color', '#e5e7eb'),
+                axisLine: read('--d3fc-axis-ticks--color', '#374151'),
+                accent: read('--active--color', '#3b82f6'),
+                warning: read('--warning--color', '#f59e0b'),
+                tooltipBackground: read('--d3fc-tooltip--background', 'rgba(0, 0, 0, 0.8)'),
+                tooltipColor: read('--d3fc-tooltip--color', 'white'),
+                tooltipBorder: read('--d3fc-tooltip--border-color', 'transparent'),
+                legendBackground: read('--d3fc-legend--background', background),
+                palette: palette.length > 0 ? palette : d3.schemeCategory10
+            };
+        }
+
+        // Repaints from the last rendered series when the viewer's theme attribute or class changes
+        _observeTheme() {
+            const host = this.parentElement;
+            if (!host || this._themeObserver || typeof MutationObserver === 'undefined') return;
+
+            this._themeObserver = new MutationObserver(() => {
+                if (!this._renderedSeries || !this._theme) return;
+                const theme = this._readTheme();
+                if (JSON.stringify(theme) !== JSON.stringify(this._theme)) {
+                    this._renderSeries(this._renderedSeries);
+                }
+            });
+            this._themeObserver.observe(host, { attributes: true, attributeFilter: ['theme', 'class', 'style'] });
+        }
+
+        _usesCanvasPoints(pointCount) {
+            const { pointRenderer, canvasPointThreshold } = this._settings;
+            if (pointRenderer === 'canvas') return true;
+            return pointRenderer === 'auto' && pointCount > canvasPointThreshold;
+        }
+
+        // Canvas the size of the svg, behind it. The transparent border matches the svg's
+        // so both share the same origin and svg user units map 1:1 onto canvas CSS pixels.
+        _createPointLayer(width, height) {
+            const ratio = window.devicePixelRatio || 1;
+            const canvas = d3.select(this._container)
+                .append('canvas')
+                .attr('class', 'boxplot-points')
+                .attr('width', Math.round(width * ratio))
+                .attr('height', Math.round(height * ratio))
+                .style('position', 'absolute')
+                .style('left', 0)
+                .style('top', 0)
+                .style('width', `${width}px`)
+                .style('height', `${height}px`)
+                .style('background', this._theme.background)
+                .style('border', '1px solid transparent')
+                .style('pointer-events', 'none');
+
+            return { canvas: canvas.node(), ratio, panels: [], quadtree: null };
+        }
+
+        // Collects one panel's points, mapping box-local coordinates to whole-chart coordinates
+        _panelPointSink(layer, region, margin, horizontal) {
+            // A redrawn panel replaces the points it contributed before
+            layer.panels = layer.panels.filter(p => p.region !== region);
+            const panel = {
+                region,
+                clip: {
+                    x0: region.x + margin.left,
+                    y0: region.y + margin.top,
+                    x1: region.x + region.width - margin.right,
+                    y1: region.y + region.height - margin.bottom
+                },
+                points: []
+            };
+            layer.panels.push(panel);
+
+            return {
+                add(mark, style) {
+                    // Same swap as the boxes layer's matrix(0, 1, 1, 0, 0, 0) in horizontal mode
+                    const [x, y] = horizontal ? [mark.y, mark.x] : [mark.x, mark.y];
+                    panel.points.push({ ...mark, x: region.x + x, y: region.y + y, style });
+                }
+            };
+        }
+
+        // Paints every collected point (batched per style) and indexes the visible ones for hit-testing
+        _paintPointLayer(layer) {
+            const context = layer.canvas.getContext('2d');
+            context.setTransform(layer.ratio, 0, 0, layer.ratio, 0, 0);
+            context.clearRect(0, 0, layer.canvas.width / layer.ratio, layer.canvas.height / layer.ratio);
+
+            const visible = [];
+            layer.panels.forEach(({ clip, points }) => {
+                context.save();
+                context.beginPath();
+                context.rect(clip.x0, clip.y0, clip.x1 - clip.x0, clip.y1 - clip.y0);
+                context.clip();
+
+                for (const [style, styled] of d3.group(points, p => p.style)) {
+                    context.beginPath();
+                    styled.forEach(p => {
+                        context.moveTo(p.x + style.radius, p.y);
+                        context.arc(p.x, p.y, style.radius, 0, 2 * Math.PI);
+                    });
+                    context.globalAlpha = style.opacity;
+                    context.fillStyle = style.fill;
+                    context.fill();
+                    if (style.stroke) {
+                        context.globalAlpha = 1;
+                        context.lineWidth = style.strokeWidth;
+                        context.strokeStyle = style.stroke;
+                        context.stroke();
+                    }
+                }
+                context.restore();
+
+                // A loop, not push(...points): a dense panel can exceed the maximum call argument count
+                for (const p of points) {
+                    if (p.x >= clip.x0 && p.x <= clip.x1 && p.y >= clip.y0 && p.y <= clip.y1) {
+                        visible.push(p);
+                    }
+                }
+            });
+
+            layer.quadtree = d3.quadtree()
+                .x(p => p.x)
+                .y(p => p.y)
+                .addAll(visible);
+        }
+
+        // Draws one chart (axes + boxes) into a sub-region of the svg
+        _drawPanel(svg, panelData, region, options) {
+            const { width, height } = region;
+            const margin = { ...region.margin };
+            const { title, yDomain, visibleDomain, showValueLabels, colorScale, pointLayer } = options;
+            const { brackets = null, omnibus = [], bracketLanes = 0, omnibusLines = 0 } = options;
+            const horizontal = this._settings.orientation === 'horizontal';
+
+            const groupPaths = [...new Map(panelData.map(d => [d.groupKey, d.groupPath])).values()];
+
+            if (horizontal) {
+                // Categories run down the left edge with full labels, so the margin grows to fit them
+                const labelWidths = this._categoryLabelWidths(groupPaths);
+                margin.left = Math.min(width * 0.5, d3.sum(labelWidths) + (labelWidths.length - 1) * 14 + 18);
+            } else {
+                // Each outer group_by level adds a row of bracketed labels under the axis
+                const groupDepth = d3.max(groupPaths, p => p.length) || 1;
+                margin.bottom += (groupDepth - 1) * 24;
+            }
+
+            const panel = svg.append('g')
+                .attr('class', 'boxplot-panel')
+                .attr('transform', `translate(${region.x}, ${region.y})`);
+
+            // Catches zoom gestures over empty parts of the panel
+            panel.append('rect')
+                .attr('class', 'panel-background')
+                .attr('width', width)
+                .attr('height', height)
+                .attr('fill', 'none')
+                .style('pointer-events', 'all');
+
+            if (title !== null) {
+                panel.append('text')
+                    .attr('class', 'panel-title')
+                    .attr('x', margin.left + (width - margin.left - margin.right) / 2)
+                    .attr('y', margin.top - 12)
+                    .attr('text-anchor', 'middle')
+                    .style('font-size', '13px')
+                    .style('font-weight', 'bold')
+                    .style('fill', this._theme.text)
+                    .text(title);
+            }
+
+            // Kruskal–Wallis results, one line per series, between the title and the plot
+            if (omnibusLines > 0) {
+                const multiSeries = new Set(panelData.map(d => d.seriesKey)).size > 1;
+                panel.selectAll('.omnibus-test')
+                    .data(omnibus)
+                    .enter()
+                    .append('text')
+                    .attr('class', 'omnibus-test')
+                    .attr('x', margin.left)
+                    .attr('y', (d, i) => margin.top + 10 + i * 14)
+                    .style('font-size', '11px')
+                    .style('fill', this._theme.mutedText)
+                    .text(d => `${multiSeries ? `${d.seriesKey}: ` : ''}Kruskal–Wallis H = ${d.statistic.toFixed(2)}, df = ${d.df}, ${formatPValue(d.p)}`);
+                margin.top += omnibusLines * 14 + 4;
+            }
+
+            // Category axis uses the unique group paths (like size_bucket values), nested when group_by has several levels
+            const categoryScale = hierarchicalBandScale(groupPaths, horizontal
+                ? [margin.top, height - margin.bottom]
+                : [margin.left, width - margin.right], {
+                padding: 0.2
+            });
+
+            // Significance brackets get lanes beyond the high end of the value axis, so they stay put
+            // while zooming. They are laid out per orientation rather than transposed like the
+            // boxes, which would mirror their labels.
+            const laneSize = horizontal ? (this._settings.significanceLabel === 'p' ? 64 : 32) : 18;
+            if (horizontal) {
+                margin.right += bracketLanes * laneSize;
+            } else {
+                margin.top += bracketLanes * laneSize;
+            }
+            const boxPositions = brackets?.items.length ? this._boxPositions(panelData, categoryScale, colorScale) : null;
+
+            const valueRange = horizontal
+                ? [margin.left, width - margin.right]
+                : [height - margin.bottom, margin.top];
+            const baseScale = createValueScale(this._settings.scale, yDomain, valueRange);
+
+            // Boxes are always drawn in vertical coordinates; the horizontal layout swaps x and y
+            // with a transform, which is why the scale ranges above are exchanged too
+            // Clipped to the plot area so a fixed domain or a zoom can cut boxes off cleanly
+            const clipId = `boxplot-clip-${++clipPathCounter}`;
+            panel.append('clipPath')
+                .attr('id', clipId)
+                .append('rect')
+                .attr('x', margin.left)
+                .attr('y', margin.top)
+                .attr('width', Math.max(0, width - margin.left - margin.right))
+                .attr('height', Math.max(0, height - margin.top - margin.bottom));
+
+            const content = panel.append('g').attr('class', 'panel-content');
+
+            // Everything that depends on the value domain, redrawn from scratch when zooming
+            const render = domain => {
+                content.selectAll('*').remove();
+                const valueScale = createValueScale(this._settings.scale, domain, valueRange);
+
+                // Draw axes
+                const axisSettings = { width, height, margin, showValueLabels, scaleType: this._settings.scale };
+                if (horizontal) {
+                    this._drawHorizontalAxes(content, categoryScale, valueScale, axisSettings);
+                } else {
+                    this._drawAxes(content, categoryScale, valueScale, axisSettings);
+                }
+
+                const boxesLayer = content.append('g')
+                    .attr('clip-path', `url(#${clipId})`)
+                    .append('g')
+                    .attr('class', 'boxes-layer');
+                if (horizontal) {
+                    boxesLayer.attr('transform', 'matrix(0, 1, 1, 0, 0, 0)');
+                }
+
+                const pointSink = pointLayer ? this._panelPointSink(pointLayer, region, margin, horizontal) : null;
+
+                // Draw boxplots (this also handles colors internally)
+                this._drawBoxplots(boxesLayer, panelData, categoryScale, valueScale, colorScale, pointSink);
+
+                if (boxPositions) {
+                    this._drawBrackets(content, brackets, boxPositions, { width, margin, horizontal, laneSize, colorScale });
+                }
+                this._drawAnnotations(content, panelData, valueScale, { width, height, margin, horizontal });
+                this._drawValueBrush(content, panelData, valueScale, { width, height, margin, horizontal });
+            };
+
+            render(visibleDomain || yDomain);
+
+            return { target: panel, baseScale, render };
+        }
+
+        // Reference lines from the `annotations` option, across the plot at a fixed value. An
+        // annotation with a `metric` only appears in panels that plot that metric.
+        _drawAnnotations(content, panelData, valueScale, { width, height, margin, horizontal }) {
+            const metrics = new Set(panelData.map(d => d.metric));
+            const [r0, r1] = d3.extent(valueScale.range());
+            const annotations = this._settings.annotations.filter(a => {
+                const position = valueScale(a.value);
+                return (a.metric == null || metrics.has(a.metric)) && position >= r0 && position <= r1;
+            });
+
+            annotations.forEach(annotation => {
+                const position = valueScale(annotation.value);
+                const color = annotation.color || this._theme.mutedText;
+                const g = content.append('g')
+                    .attr('class', 'annotation')
+                    .style('pointer-events', 'none');
+
+                g.append('line')
+                    .attr('x1', horizontal ? position : margin.left)
+                    .attr('x2', horizontal ? position : width - margin.right)
+                    .attr('y1', horizontal ? margin.top : position)
+                    .attr('y2', horizontal ? height - margin.bottom : position)
+                    .attr('stroke', color)
+                    .attr('stroke-width', 1.5)
+                    .attr('stroke-dasharray', '6,3');
+
+                if (annotation.label) {
+                    g.append('text')
+                        .attr('x', horizontal ? position + 4 : width - margin.right - 4)
+                        .attr('y', horizontal ? margin.top + 12 : position - 4)
+                        .attr('text-anchor', horizontal ? 'start' : 'end')
+                        .style('font-size', '11px')
+                        .style('fill', color)
+                        .text(annotation.label);
+                }
+            });
+        }
+
+        // Brush along the value-axis gutter. The selected range becomes a `>=`/`<=` filter pair on
+        // the host viewer, and clearing the brush removes it. Only panels showing a single metric
+        // get a brush, since a range on a shared axis would be ambiguous across metrics.
+        _drawValueBrush(content, panelData, valueScale, { width, height, margin, horizontal }) {
+            const metrics = [...new Set(panelData.map(d => d.metric))];
+            if (metrics.length !== 1) return;
+            const [metric] = metrics;
+
+            // Highlight of the selected range across the plot area, under the boxes
+            const band = content.insert('rect', ':first-child')
+                .attr('class', 'brush-band')
+                .attr('fill', this._theme.accent)
+                .attr('fill-opacity', 0.08)
+                .style('pointer-events', 'none')
+                .style('display', 'none');
+
+            const showBand = ([p0, p1]) => {
+                const [lo, hi] = [Math.min(p0, p1), Math.max(p0, p1)];
+                band.style('display', null);
+                if (horizontal) {
+                    band.attr('x', lo).attr('width', hi - lo)
+                        .attr('y', margin.top).attr('height', height - margin.top - margin.bottom);
+                } else {
+                    band.attr('y', lo).attr('height', hi - lo)
+                        .attr('x', margin.left).attr('width', width - margin.left - margin.right);
+                }
+            };
+
+            const brush = (horizontal ? d3.brushX() : d3.brushY())
+                .extent(horizontal
+                    ? [[margin.left, height - margin.bottom], [width - margin.right, height - margin.bottom + 28]]
+                    : [[Math.max(0, margin.left - 40), margin.top], [margin.left, height - margin.bottom]])
+                .on('brush', event => {
+                    if (event.selection) showBand(event.selection);
+                })
+                .on('end', event => {
+                    // Programmatic moves (restoring the current filter) have no source event
+                    if (!event.sourceEvent) return;
+                    if (!event.selection) {
+                        band.style('display', 'none');
+                        this._applyBrushFilter(metric, null);
+                        return;
+                    }
+                    const range = event.selection.map(valueScale.invert).map(v => +v.toPrecision(6)).sort(d3.ascending);
+                    this._applyBrushFilter(metric, range);
+                });
+
+            const brushG = content.append('g')
+                .attr('class', 'value-brush')
+                .call(brush);
+
+            const active = this._brushFilter;
+            if (active && active.column === metric) {
+                // Clamped to the visible range, which a zoom may have narrowed
+                const [r0, r1] = d3.extent(valueScale.range());
+                const selection = active.range
+                    .map(v => Math.max(r0, Math.min(r1, valueScale(v))))
+                    .sort(d3.ascending);
+                if (selection[1] > selection[0]) {
+                    brushG.call(brush.move, selection);
+                    showBand(selection);
+                }
+            }
+        }
+
+        // Replaces this plugin's brush clauses in the host viewer's filter, keeping everyone else's
+        async _applyBrushFilter(column, range) {
+            const viewer = this.parentElement;
+            if (!viewer || typeof viewer.restore !== 'function' || !this._view) {
+                console.warn('Cannot apply brush filter - no host perspective-viewer found');
+                return;
+            }
+
+            const config = await this._view.get_config();
+            const previous = this._brushFilter;
+            const filter = (config.filter || []).filter(clause => !this._isBrushClause(clause, previous));
+            if (range) {
+                filter.push([column, '>=', range[0]], [column, '<=', range[1]]);
+            }
+
+            this._brushFilter = range ? { column, range } : null;
+            await viewer.restore({ filter });
+        }
+
+        _isBrushClause(clause, brush) {
+            if (!brush) return false;
+            const [column, op, value] = clause;
+            return column === brush.column && (
+                (op === '>=' && value === brush.range[0]) ||
+                (op === '<=' && value === brush.range[1])
+            );
+        }
+
+        // Forgets the brush once its filter has been removed or edited outside the chart
+        _syncBrushFilter(config) {
+            const brush = this._brushFilter;
+            if (!brush) return;
+            const clauses = (config.filter || []).filter(clause => this._isBrushClause(clause, brush));
+            if (clauses.length < 2) {
+                this._brushFilter = null;
+            }
+        }
+
+        // Padded extent of everything drawn (whiskers and outliers), overridden by any fixed bounds
+        _valueDomain(processedData) {
+            const { scale, domainMin, domainMax } = this._settings;
+            const allValues = processedData.flatMap(d => [
+                d.stats.min,
+                d.stats.max,
+                ...d.stats.outliers
+            ]);
+
+            const [lo, hi] = padValueDomain(scale, d3.extent(allValues));
+            const validBound = v => v !== null && v !== undefined && isFinite(v) && (scale !== 'log' || v > 0);
+
+            return [
+                validBound(domainMin) ? +domainMin : lo,
+                validBound(domainMax) ? +domainMax : hi
+            ];
+        }
+
+        // Non-fatal problems (e.g. values a log axis can't show) shown above the chart
+        _drawWarnings(messages) {
+            if (messages.length === 0) return;
+
+            d3.select(this._container)
+                .append('div')
+                .attr('class', 'boxplot-warning')
+                .style('position', 'absolute')
+                .style('top', '4px')
+                .style('left', '50%')
+                .style('transform', 'translateX(-50%)')
+                .style('background', this._theme.background)
+                .style('color', this._theme.text)
+                .style('border', `1px solid ${this._theme.warning}`)
+                .style('border-left-width', '4px')
+                .style('border-radius', '4px')
+                .style('padding', '2px 8px')
+                .style('font-size', '12px')
+                .style('pointer-events', 'none')
+                .html(messages.join('<br/>'));
+        }
+
+        _processDataForBoxplot(data, config, schema, options) {
+            if (!data || Object.keys(data).length === 0) return [];
+
+            // Since we're getting raw data, we always process it as raw
+            return this._processRawData(data, config, schema, options);
+        }
+
+
+        // options.deferStats leaves `values` unsorted and `stats` null, for the stats worker to fill in
+        _processRawData(data, config, schema, options = {}) {
+            this._nonPositiveCount = 0;
+
+            // `data` is a to_columns() result; rows are referred to by index from here on
+            const frame = this._columnFrame(data);
+            const allRows = frame.indices();
+
+            const columns = this._resolveColumns(config, schema);
+            if (!columns) return [];
+
+            const { numericColumns, groupByColumns, splitByColumns, facetColumn } = columns;
+            const facetByColumn = facetColumn !== null;
+            const { facet } = this._settings;
+
+            let result;
+            if (facetByColumn) {
+                result = [];
+                const facetValues = frame.column(facetColumn);
+                for (const [facetValue, rows] of d3.group(allRows, i => facetValues[i] ?? null)) {
+                    result.push(...this._groupSeries(frame, rows, groupByColumns, numericColumns, splitByColumns, options)
+                        .map(series => ({ ...series, facet: groupLabel(facetValue), facetValue })));
+                }
+            } else {
+                result = this._groupSeries(frame, allRows, groupByColumns, numericColumns, splitByColumns, options)
+                    .map(series => ({ ...series, facet: facet === 'metric' ? series.metric : null }));
+            }
+
+            return result;
+        }
+
+        // Works out which columns are metrics, x-axis levels, hues and facets for this config
+        _resolveColumns(config, schema) {
+            const configColumns = config.columns || [];
+            
+            // Separate numeric and categorical columns from config
+            const numericColumns = [];
+            const categoricalColumns = [];
+            
+            configColumns.forEach(col => {
+                if (schema[col] === 'float' || schema[col] === 'integer') {
+                    numericColumns.push(col);
+                } else if (schema[col] === 'string') {
+                    categoricalColumns.push(col);
+                }
+            });
+
+
+            if (numericColumns.length === 0) {
+                console.warn('No numeric columns found in config.columns');
+                return null;
+            }
+
+            // Determine grouping columns - several strategies:
+            let groupByColumns = [];
+            
+            // Strategy 1: Use config.group_by if provided (from UI) - every level becomes a level of the x-axis
+            if (config.group_by && config.group_by.length > 0) {
+                groupByColumns = [...config.group_by];
+            }
+            // Strategy 2: If exactly one categorical column in config.columns, use it for grouping
+            else if (categoricalColumns.length === 1) {
+                groupByColumns = [categoricalColumns[0]];
+            }
+            // Strategy 3: Multiple categorical columns nest in the order they were picked
+            else if (categoricalColumns.length > 1) {
+                groupByColumns = [...categoricalColumns];
+            }
+            // Strategy 4: No categorical columns - no grouping (single set of boxplots)
+
+            // split_by columns become hue sub-series within each x group (like seaborn's hue=)
+            const splitByColumns = config.split_by || [];
+
+            // A facet column splits the rows into panels, so it is not also an x-axis level
+            const { facet, facetColumn } = this._settings;
+            const facetByColumn = facet === 'column' && !!facetColumn;
+            if (facetByColumn) {
+                groupByColumns = groupByColumns.filter(col => col !== facetColumn);
+            }
+
+            return {
+                numericColumns,
+                groupByColumns,
+                splitByColumns,
+                facetColumn: facetByColumn ? facetColumn : null
+            };
+        }
+
+        // Builds the series for a set of rows: one x group per group_by path, one box per metric/hue
+        _groupSeries(frame, rows, groupByColumns, numericColumns, splitByColumns, options = {}) {
+            const result = [];
+
+            if (groupByColumns.length > 0) {
+                // Nested grouping keeps each outer level's children contiguous on the axis
+                const nested = d3.group(rows, ...groupByColumns.map(col => this._levelKey(frame, col)));
+                const groups = this._flattenGroups(nested);
+
+                for (const { groupKey, groupPath, groupValues, rows: groupData } of groups) {
+                    result.push(...this._buildSeries(frame, groupData, numericColumns, splitByColumns, {
+                        label: groupPath[groupPath.length - 1],
+                        groupKey: groupKey,
+                        groupPath: groupPath,
+                        groupValues,
+                        groupColumns: groupByColumns
+                    }, numericColumns, options));
+                }
+            } else {
+                // No grouping, show each metric as separate boxplot
+                numericColumns.forEach(metricCol => {
+                    result.push(...this._buildSeries(frame, rows, [metricCol], splitByColumns, {
+                        label: metricCol,
+                        groupKey: metricCol,
+                        groupPath: [metricCol],
+                        groupValues: [],
+                        groupColumns: []
+                    }, numericColumns, options));
+                });
+            }
+
+            return result;
+        }
+
+        // One entry per metric (and per hue when split_by is set) for the rows of a single x group
+        _buildSeries(frame, rows, numericColumns, splitByColumns, group, allMetrics = numericColumns, options = {}) {
+            const hues = splitByColumns.length > 0
+                ? this._flattenGroups(d3.group(rows, ...splitByColumns.map(col => this._levelKey(frame, col))))
+                : [{ groupKey: null, groupPath: [], groupValues: [], rows }];
+
+            // A log axis cannot place zero or negative values, so they are left out of the series
+            const positiveOnly = this._settings.scale === 'log';
+
+            const series = [];
+            numericColumns.forEach(metricCol => {
+                hues.forEach(hue => {
+                    // Gather straight from the typed column into a typed buffer, skipping nulls/NaN
+                    const column = frame.numeric(metricCol);
+                    let values = new Float64Array(hue.rows.length);
+                    let count = 0;
+                    for (const i of hue.rows) {
+                        const v = column[i];
+                        if (v === v) values[count++] = v;
+                    }
+                    if (count < values.length) values = values.slice(0, count);
+
+                    if (positiveOnly) {
+                        values = values.filter(v => v > 0);
+                        this._nonPositiveCount += count - values.length;
+                    }
+
+                    // Sorted exactly once: here, or by the stats worker for deferred series
+                    if (!options.deferStats) values.sort();
+
+                    if (values.length > 0) {
+                        series.push({
+                            ...group,
+                            metric: metricCol,
+                            metricIndex: allMetrics.indexOf(metricCol),
+                            hue: hue.groupKey,
+                            huePath: hue.groupPath,
+                            hueValues: hue.groupValues,
+                            hueColumns: splitByColumns,
+                            seriesKey: this._seriesKey(metricCol, hue.groupKey, allMetrics.length > 1),
+                            values,
+                            stats: options.deferStats ? null : this._calculateBoxplotStats(values),
+                            // Row identity: the raw view rows behind this box, for outlier drill-down
+                            frame,
+                            rows: hue.rows
+                        });
+                    }
+                });
+            });
+            return series;
+        }
+
+        // Column-oriented access to a to_columns() result. Numeric columns are converted to a
+        // Float64Array once (nulls become NaN) and then shared by every group and hue.
+        _columnFrame(columns) {
+            const names = Object.keys(columns);
+            const length = names.length > 0 ? columns[names[0]].length : 0;
+            const numeric = new Map();
+
+            return {
+                length,
+                names,
+                column: name => columns[name] || [],
+                row: i => Object.fromEntries(names.map(name => [name, columns[name][i]])),
+                numeric: name => {
+                    if (!numeric.has(name)) {
+                        const source = columns[name] || [];
+                        numeric.set(name, Float64Array.from(source, v => v === null || v === undefined ? NaN : +v));
+                    }
+                    return numeric.get(name);
+                },
+                indices: () => {
+                    const rows = new Int32Array(length);
+                    for (let i = 0; i < length; i++) rows[i] = i;
+                    return rows;
+                }
+            };
+        }
+
+        // d3.group key function over row indices for one categorical column. Keys stay raw values
+        // (null included), so filters built from them match the column's type.
+        _levelKey(frame, col) {
+            const values = frame.column(col);
+            return i => values[i] ?? null;
+        }
+
+        // Colour/legend identity of a series: the metric, the hue, or both when both vary
+        _seriesKey(metric, hue, multiMetric) {
+            if (hue === null || hue === undefined) return metric;
+            return multiMetric ? `${metric}${GROUP_PATH_SEPARATOR}${hue}` : hue;
+        }
+
+        // Flattens nested d3.group maps into leaf groups, depth-first so siblings stay adjacent.
+        // groupPath holds the display labels, groupValues the raw keys.
+        _flattenGroups(nested, prefix = [], valuePrefix = []) {
+            const leaves = [];
+            for (const [key, child] of nested) {
+                const groupPath = [...prefix, groupLabel(key)];
+                const groupValues = [...valuePrefix, key];
+                if (child instanceof Map) {
+                    leaves.push(...this._flattenGroups(child, groupPath, groupValues));
+                } else {
+                    leaves.push({
+                        groupKey: groupPath.join(GROUP_PATH_SEPARATOR),
+                        groupPath,
+                        groupValues,
+                        rows: child
+                    });
+                }
+            }
+            return leaves;
+        }
+
+        // Expects values already sorted ascending by _buildSeries
+        _calculateBoxplotStats(sortedValues) {
+            if (!sortedValues || sortedValues.length === 0) return null;
+
+            // In streaming mode the statistics come from the per-series sketches instead
+            if (this._settings.streaming && this._stream) return null;
+
+            // Settings share their names with the stats options (whisker*, quantileMethod, bootstrap*, ciLevel)
+            return boxplotStats(sortedValues, this._settings);
+        }
+
+        _drawAxes(svg, xScale, yScale, settings) {
+            const { margin, width, height, showValueLabels = true, scaleType } = settings;
+            const theme = this._theme;
+            const { ticks, format } = valueTicks(yScale, scaleType);
+
+            // Y-axis grid lines
+            svg.selectAll('.grid-line')
+                .data(ticks)
+                .enter()
+                .append('line')
+                .attr('class', 'grid-line')
+                .attr('x1', margin.left)
+                .attr('x2', width - margin.right)
+                .attr('y1', yScale)
+                .attr('y2', yScale)
+                .attr('stroke', theme.gridline)
+                .attr('stroke-dasharray', '2,2');
+
+            // Y-axis labels
+            svg.selectAll('.y-label')
+                .data(showValueLabels ? ticks.filter(t => format(t) !== '') : [])
+                .enter()
+                .append('text')
+                .attr('class', 'y-label')
+                .attr('x', margin.left - 10)
+                .attr('y', yScale)
+                .attr('text-anchor', 'end')
+                .attr('alignment-baseline', 'middle')
+                .style('font-size', '12px')
+                .style('fill', theme.mutedText)
+                .text(format);
+
+            // X-axis line
+            svg.append('line')
+                .attr('x1', margin.left)
+                .attr('x2', width - margin.right)
+                .attr('y1', height - margin.bottom)
+                .attr('y2', height - margin.bottom)
+                .attr('stroke', theme.axisLine);
+
+            // X-axis labels
+            svg.selectAll('.x-label')
+                .data(xScale.domain())
+                .enter()
+                .append('text')
+                .attr('class', 'x-label')
+                .attr('x', d => xScale(d) + xScale.bandwidth() / 2)
+                .attr('y', height - margin.bottom + 20)
+                .attr('text-anchor', 'middle')
+                .style('font-size', '12px')
+                .style('fill', theme.text)
+                .text(d => {
+                    const path = xScale.path(d);
+                    const label = path[path.length - 1];
+                    return label.length > 15 ? label.substring(0, 15) + '...' : label;
+                });
+
+            // Outer group_by levels: a bracket under each run of children with the parent label below it
+            const depth = xScale.depth();
+            for (let level = depth - 2; level >= 0; level--) {
+                const row = depth - 2 - level;
+                const bracketY = height - margin.bottom + 32 + row * 24;
+
+                xScale.spans(level).forEach(span => {
+                    const bracket = svg.append('g').attr('class', 'x-bracket');
+
+                    bracket.append('path')
+                        .attr('d', `M${span.x0},${bracketY - 4}V${bracketY}H${span.x1}V${bracketY - 4}`)
+                        .attr('fill', 'none')
+                        .attr('stroke', theme.bracket);
+
+                    const maxChars = Math.max(3, Math.floor((span.x1 - span.x0) / 7));
+                    bracket.append('text')
+                        .attr('x', (span.x0 + span.x1) / 2)
+                        .attr('y', bracketY + 14)
+                        .attr('text-anchor', 'middle')
+                        .style('font-size', '12px')
+                        .style('font-weight', 'bold')
+                        .style('fill', theme.text)
+                        .text(span.label.length > maxChars ? span.label.substring(0, maxChars) + '...' : span.label)
+                        .append('title')
+                        .text(span.prefix);
+                });
+            }
+        }
+
+        // Horizontal layout: value gridlines run vertically, categories are listed down the left edge
+        _drawHorizontalAxes(svg, categoryScale, valueScale, settings) {
+            const { margin, width, height, showValueLabels = true, scaleType } = settings;
+            const theme = this._theme;
+            const { ticks, format } = valueTicks(valueScale, scaleType);
+
+            // Value grid lines
+            svg.selectAll('.grid-line')
+                .data(ticks)
+                .enter()
+                .append('line')
+                .attr('class', 'grid-line')
+                .attr('x1', valueScale)
+                .attr('x2', valueScale)
+                .attr('y1', margin.top)
+                .attr('y2', height - margin.bottom)
+                .attr('stroke', theme.gridline)
+                .attr('stroke-dasharray', '2,2');
+
+            // Value labels along the bottom
+            svg.selectAll('.value-label')
+                .data(showValueLabels ? ticks.filter(t => format(t) !== '') : [])
+                .enter()
+                .append('text')
+                .attr('class', 'value-label')
+                .attr('x', valueScale)
+                .attr('y', height - margin.bottom + 20)
+                .attr('text-anchor', 'middle')
+                .style('font-size', '12px')
+                .style('fill', theme.mutedText)
+                .text(format);
+
+            // Category axis line
+            svg.append('line')
+                .attr('x1', margin.left)
+                .attr('x2', margin.left)
+                .attr('y1', margin.top)
+                .attr('y2', height - margin.bottom)
+                .attr('stroke', theme.axisLine);
+
+            // Category labels, untruncated
+            svg.selectAll('.category-label')
+                .data(categoryScale.domain())
+                .enter()
+                .append('text')
+                .attr('class', 'category-label')
+                .attr('x', margin.left - 10)
+                .attr('y', d => categoryScale(d) + categoryScale.bandwidth() / 2)
+                .attr('text-anchor', 'end')
+                .attr('alignment-baseline', 'middle')
+                .style('font-size', '12px')
+                .style('fill', theme.text)
+                .text(d => {
+                    const path = categoryScale.path(d);
+                    return path[path.length - 1];
+                });
+
+            // Outer group_by levels: one column per level, left to right, with a bracket beside each run of children
+            const depth = categoryScale.depth();
+            const labelWidths = this._categoryLabelWidths(categoryScale.domain().map(categoryScale.path));
+            let columnX = 8;
+            for (let level = 0; level < depth - 1; level++) {
+                const labelRight = columnX + labelWidths[level];
+                const bracketX = labelRight + 6;
+
+                categoryScale.spans(level).forEach(span => {
+                    const bracket = svg.append('g').attr('class', 'y-bracket');
+
+                    bracket.append('path')
+                        .attr('d', `M${bracketX + 4},${span.x0}H${bracketX}V${span.x1}H${bracketX + 4}`)
+                        .attr('fill', 'none')
+                        .attr('stroke', theme.bracket);
+
+                    bracket.append('text')
+                        .attr('x', labelRight)
+                        .attr('y', (span.x0 + span.x1) / 2)
+                        .attr('text-anchor', 'end')
+                        .attr('alignment-baseline', 'middle')
+                        .style('font-size', '12px')
+                        .style('font-weight', 'bold')
+                        .style('fill', theme.text)
+                        .text(span.label)
+                        .append('title')
+                        .text(span.prefix);
+                });
+
+                columnX = labelRight + 14;
+            }
+        }
+
+        // Widest label per group_by level, outer levels measured bold as they are drawn
+        _categoryLabelWidths(paths) {
+            const depth = d3.max(paths, p => p.length) || 1;
+            return d3.range(depth).map(level => d3.max(paths, p => this._measureText(
+                p[level] || '',
+                level < depth - 1 ? 'bold 12px sans-serif' : '12px sans-serif'
+            )) || 0);
+        }
+
+        _measureText(text, font) {
+            if (!this._measureContext) {
+                this._measureContext = document.createElement('canvas').getContext('2d');
+            }
+            this._measureContext.font = font;
+            return this._measureContext.measureText(text).width;
+        }
+
+        // Legend placement and item positions. 'auto' puts a legend on the right when its labels are
+        // short and its entries fit in one column, and otherwise puts it below the chart, wrapping
+        // into rows. Labels longer than the space allows are truncated, with the full text in a <title>.
+        _legendLayout(seriesKeys, width, height, margin) {
+            const { legendPosition } = this._settings;
+            if (seriesKeys.length <= 1 || legendPosition === 'none') return null;
+
+            const font = '12px sans-serif';
+            const swatch = 12;
+            const rowHeight = 20;
+            const padding = 8;
+            const itemGap = 16;
+
+            const fit = maxWidth => seriesKeys.map(key => {
+                let label = String(key);
+                if (this._measureText(label, font) > maxWidth) {
+                    while (label.length > 1 && this._measureText(label + '…', font) > maxWidth) {
+                        label = label.slice(0, -1);
+                    }
+                    label += '…';
+                }
+                return { key, label, width: swatch + 6 + this._measureText(label, font) };
+            });
+
+            let position = legendPosition;
+            let items = fit(Math.min(160, width * 0.25));
+            const columnWidth = d3.max(items, d => d.width) + padding * 2;
+            if (position === 'auto') {
+                const fitsRight = seriesKeys.length * rowHeight <= height - margin.top - margin.bottom &&
+                    items.every(d => d.label === String(d.key));
+                position = fitsRight ? 'right' : 'bottom';
+            }
+
+            if (position === 'right') {
+                // Entries that don't fit the height flow into further columns
+                const perColumn = Math.max(1, Math.floor((height - margin.top - padding * 2) / rowHeight));
+                items.forEach((d, i) => {
+                    d.x = padding + Math.floor(i / perColumn) * columnWidth;
+                    d.y = padding + (i % perColumn) * rowHeight;
+                });
+                const legendWidth = Math.ceil(items.length / perColumn) * columnWidth + padding;
+                return {
+                    position, items,
+                    x: width - legendWidth, y: margin.top,
+                    width: legendWidth, height: Math.min(items.length, perColumn) * rowHeight + padding * 2,
+                    plot: { x: 0, y: 0, width: width - legendWidth, height }
+                };
+            }
+
+            // Top and bottom wrap entries into rows across the full width
+            items = fit(Math.min(200, width * 0.4));
+            let x = padding;
+            let row = 0;
+            items.forEach(d => {
+                if (x > padding && x + d.width > width - padding) {
+                    x = padding;
+                    row++;
+                }
+                d.x = x;
+                d.y = padding + row * rowHeight;
+                x += d.width + itemGap;
+            });
+            const legendHeight = (row + 1) * rowHeight + padding * 2;
+            // Clear of the toolbar buttons in the top-left corner
+            const top = position === 'top' ? 22 : height - legendHeight;
+            return {
+                position, items,
+                x: 0, y: top,
+                width, height: legendHeight,
+                plot: position === 'top'
+                    ? { x: 0, y: top + legendHeight, width, height: height - top - legendHeight }
+                    : { x: 0, y: 0, width, height: height - legendHeight }
+            };
+        }
+
+        // Click an entry to hide or show its series, double-click to show only that series (or,
+        // when it is already the only one shown, everything again)
+        _drawLegend(svg, layout, colorScale, seriesKeys) {
+            const hidden = this._hiddenSeries;
+
+            const legendG = svg.append('g')
+                .attr('class', 'legend')
+                .attr('transform', `translate(${layout.x}, ${layout.y})`);
+
+            if (layout.position === 'right') {
+                legendG.append('rect')
+                    .attr('width', layout.width - 4)
+                    .attr('height', layout.height)
+                    .attr('fill', this._theme.legendBackground)
+                    .attr('fill-opacity', 0.9)
+                    .attr('stroke', this._theme.border)
+                    .attr('rx', 4);
+            }
+
+            // A double-click also fires two clicks, so a click waits briefly before toggling
+            let clickTimer = null;
+            const items = legendG.selectAll('.legend-item')
+                .data(layout.items)
+                .enter()
+                .append('g')
+                .attr('class', 'legend-item')
+                .attr('transform', d => `translate(${d.x}, ${d.y})`)
+                .style('cursor', 'pointer')
+                .style('opacity', d => hidden.has(d.key) ? 0.4 : 1)
+                .on('click', (event, d) => {
+                    event.stopPropagation();
+                    clearTimeout(clickTimer);
+                    clickTimer = setTimeout(() => this._toggleSeries(d.key, seriesKeys), 250);
+                })
+                .on('dblclick', (event, d) => {
+                    event.stopPropagation();
+                    clearTimeout(clickTimer);
+                    this._isolateSeries(d.key, seriesKeys);
+                });
+
+            items.append('title')
+                .text(d => `${d.key}\nClick to ${hidden.has(d.key) ? 'show' : 'hide'}, double-click to show only this series`);
+
+            // Hidden series keep an outlined swatch in their colour
+            items.append('rect')
+                .attr('y', 2)
+                .attr('width', 12)
+                .attr('height', 12)
+                .attr('rx', 2)
+                .attr('fill', d => hidden.has(d.key) ? 'none' : colorScale(d.key))
+                .attr('fill-opacity', 0.7)
+                .attr('stroke', d => colorScale(d.key))
+                .attr('stroke-width', 1.5);
+
+            items.append('text')
+                .attr('x', 18)
+                .attr('y', 12)
+                .style('font-family', 'sans-serif')
+                .style('font-size', '12px')
+                .style('fill', d => hidden.has(d.key) ? this._theme.mutedText : this._theme.text)
+                .style('text-decoration', d => hidden.has(d.key) ? 'line-through' : null)
+                .style('user-select', 'none')
+                .text(d => d.label);
+        }
+
+        _toggleSeries(seriesKey, seriesKeys) {
+            const hidden = new Set(this._hiddenSeries);
+            if (hidden.has(seriesKey)) {
+                hidden.delete(seriesKey);
+            } else if (hidden.size < seriesKeys.length - 1) {
+                hidden.add(seriesKey);
+            } else {
+                // Hiding the last visible series would leave an empty chart
+                return;
+            }
+            this._setHiddenSeries(hidden, seriesKeys);
+        }
+
+        _isolateSeries(seriesKey, seriesKeys) {
+            const isolated = this._hiddenSeries.size === seriesKeys.length - 1 && !this._hiddenSeries.has(seriesKey);
+            this._setHiddenSeries(isolated ? new Set() : new Set(seriesKeys.filter(key => key !== seriesKey)), seriesKeys);
+        }
+
+        // Keys hidden earlier that aren't in the current view are kept, so they stay hidden when they return
+        _setHiddenSeries(hidden, seriesKeys) {
+            const absent = this._settings.hiddenSeries.filter(key => !seriesKeys.includes(key));
+            this._updateSettings({ hiddenSeries: [...absent, ...hidden] }, { refetch: false });
+        }
+
+        // Where each series' box sits along the category axis: side by side within its group
+        _boxPositions(processedData, xScale, colorScale) {
+            // Every shown series has a fixed slot so the same metric/hue lines up across groups
+            const allSeries = colorScale.domain().filter(key => !this._hiddenSeries.has(key));
+            const seriesMetric = new Map(processedData.map(d => [d.seriesKey, d.metric]));
+            const positions = new Map();
+
+            for (const [groupKey, groupData] of d3.group(processedData, d => d.groupKey)) {
+                const groupBaseX = xScale(groupKey);
+                const groupWidth = xScale.bandwidth();
+
+                // Slots are the series whose metric is plotted in this group
+                const groupMetrics = new Set(groupData.map(d => d.metric));
+                const slots = allSeries.filter(key => groupMetrics.has(seriesMetric.get(key)));
+                const boxWidth = Math.max(20, (groupWidth / slots.length) - 5);
+
+                groupData.forEach(seriesData => {
+                    const slotIndex = slots.indexOf(seriesData.seriesKey);
+                    positions.set(seriesData, { boxX: groupBaseX + (slotIndex * groupWidth / slots.length), boxWidth });
+                });
+            }
+            return positions;
+        }
+
+        _drawBoxplots(svg, processedData, xScale, yScale, colorScale, pointSink = null) {
+            // Group data by x-axis groups first
+            const groupedByX = d3.group(processedData, d => d.groupKey);
+
+            const positions = this._boxPositions(processedData, xScale, colorScale);
+
+            for (const [groupKey, groupData] of groupedByX) {
+                groupData.forEach(seriesData => {
+                    const { metric, hue, seriesKey } = seriesData;
+                    const { boxX, boxWidth } = positions.get(seriesData);
+                    const centerX = boxX + boxWidth / 2;
+                    
+                    const color = colorScale(seriesKey);
+
+                    const g = svg.append('g')
+                        .attr('class', 'boxplot-group')
+                        .attr('data-group', groupKey)
+                        .attr('data-metric', metric)
+                        .attr('data-series', seriesKey);
+
+                    if (hue !== null) {
+                        g.attr('data-hue', hue);
+                    }
+
+                    if (seriesData.facet !== null) {
+                        g.attr('data-facet', seriesData.facet);
+                    }
+
+                    if (this._settings.mode === 'violin') {
+                        this._drawViolin(g, seriesData, boxX, boxWidth, yScale, color);
+                    } else {
+                        this._drawBox(g, seriesData, boxX, boxWidth, yScale, color, pointSink);
+                    }
+
+                    this._drawOverlay(g, seriesData, boxX, boxWidth, yScale, color, pointSink);
+                });
+            }
+        }
+
+        _drawBox(g, seriesData, boxX, boxWidth, yScale, color, pointSink) {
+            const { stats } = seriesData;
+            const centerX = boxX + boxWidth / 2;
+
+            // Whiskers
+            g.append('line')
+                .attr('x1', centerX)
+                .attr('x2', centerX)
+                .attr('y1', yScale(stats.min))
+                .attr('y2', yScale(stats.q1))
+                .attr('stroke', color)
+                .attr('stroke-width', 2);
+
+            g.append('line')
+                .attr('x1', centerX)
+                .attr('x2', centerX)
+                .attr('y1', yScale(stats.q3))
+                .attr('y2', yScale(stats.max))
+                .attr('stroke', color)
+                .attr('stroke-width', 2);
+
+            // Whisker caps
+            const capWidth = boxWidth * 0.4;
+            g.append('line')
+                .attr('x1', centerX - capWidth/2)
+                .attr('x2', centerX + capWidth/2)
+                .attr('y1', yScale(stats.min))
+                .attr('y2', yScale(stats.min))
+                .attr('stroke', color)
+                .attr('stroke-width', 2);
+
+            g.append('line')
+                .attr('x1', centerX - capWidth/2)
+                .attr('x2', centerX + capWidth/2)
+                .attr('y1', yScale(stats.max))
+                .attr('y2', yScale(stats.max))
+                .attr('stroke', color)
+                .attr('stroke-width', 2);
+
+            // Box (IQR), optionally notched at the median confidence interval
+            let notchInset = 0;
+            if (this._settings.notch && stats.medianNotch) {
+                notchInset = boxWidth * 0.25;
+                const clamp = v => Math.max(stats.q1, Math.min(stats.q3, v));
+                const notchLo = yScale(clamp(stats.medianNotch[0]));
+                const notchHi = yScale(clamp(stats.medianNotch[1]));
+                const yMedian = yScale(stats.median);
+                const left = boxX;
+                const right = boxX + boxWidth;
+
+                const path = d3.path();
+                path.moveTo(left, yScale(stats.q3));
+                path.lineTo(right, yScale(stats.q3));
+                path.lineTo(right, notchHi);
+                path.lineTo(right - notchInset, yMedian);
+                path.lineTo(right, notchLo);
+                path.lineTo(right, yScale(stats.q1));
+                path.lineTo(left, yScale(stats.q1));
+                path.lineTo(left, notchLo);
+                path.lineTo(left + notchInset, yMedian);
+                path.lineTo(left, notchHi);
+                path.closePath();
+
+                g.append('path')
+                    .attr('class', 'box notched')
+                    .attr('d', path.toString())
+                    .attr('fill', color)
+                    .attr('fill-opacity', 0.3)
+                    .attr('stroke', color)
+                    .attr('stroke-width', 2);
+            } else {
+                g.append('rect')
+                    .attr('class', 'box')
+                    .attr('x', boxX)
+                    .attr('y', yScale(stats.q3))
+                    .attr('width', boxWidth)
+                    .attr('height', yScale(stats.q1) - yScale(stats.q3))
+                    .attr('fill', color)
+                    .attr('fill-opacity', 0.3)
+                    .attr('stroke', color)
+                    .attr('stroke-width', 2);
+            }
+
+            // Median line
+            g.append('line')
+                .attr('x1', boxX + notchInset)
+                .attr('x2', boxX + boxWidth - notchInset)
+                .attr('y1', yScale(stats.median))
+                .attr('y2', yScale(stats.median))
+                .attr('stroke', this._theme.text)
+                .attr('stroke-width', 3);
+
+            // Mean point
+            g.append('circle')
+                .attr('cx', centerX)
+                .attr('cy', yScale(stats.mean))
+                .attr('r', 4)
+                .attr('fill', this._theme.background)
+                .attr('stroke', color)
+                .attr('stroke-width', 2);
+
+            // Outliers, unless an overlay is already showing every observation
+            if (stats.outliers && stats.outliers.length > 0 && !this._overlayValues(seriesData)) {
+                const random = this._seriesRandom(seriesData);
+                const outliers = this._outlierRows(seriesData) || stats.outliers.map(value => ({ value, row: null }));
+                const marks = outliers.map(({ value, row }) => ({
+                    x: centerX + (random() - 0.5) * boxWidth * 0.6,
+                    y: yScale(value),
+                    value,
+                    row,
+                    kind: 'Outlier',
+                    series: seriesData
+                }));
+                this._drawPoints(g, marks, {
+                    className: 'outlier',
+                    radius: 3,
+                    fill: color,
+                    opacity: 0.7,
+                    stroke: this._theme.background,
+                    strokeWidth: 1
+                }, pointSink);
+            }
+        }
+
+        // Every observation (or a rank-spaced sample of them) as a strip or beeswarm over the box
+        _drawOverlay(g, seriesData, boxX, boxWidth, yScale, color, pointSink) {
+            const values = this._overlayValues(seriesData);
+            if (!values) return;
+
+            const { overlay, overlaySize, overlayOpacity } = this._settings;
+            const { stats } = seriesData;
+            const centerX = boxX + boxWidth / 2;
+            const halfWidth = boxWidth * 0.4;
+            const positions = values.map(v => yScale(v));
+
+            let offsets;
+            if (overlay === 'swarm') {
+                offsets = beeswarmOffsets(positions, overlaySize, halfWidth);
+            } else {
+                const random = this._seriesRandom(seriesData);
+                offsets = positions.map(() => (random() - 0.5) * halfWidth);
+            }
+
+            // Outliers are always in the sample, so each can be matched back to its row
+            const outlierRows = d3.group(this._outlierRows(seriesData) || [], d => d.value);
+            const marks = values.map((value, i) => {
+                const outlier = value < stats.lowerFence || value > stats.upperFence;
+                const match = outlier ? outlierRows.get(value)?.shift() : null;
+                return {
+                    x: centerX + offsets[i],
+                    y: positions[i],
+                    value,
+                    row: match ? match.row : null,
+                    kind: outlier ? 'Outlier' : 'Value',
+                    series: seriesData
+                };
+            });
+
+            this._drawPoints(g, marks, {
+                className: 'observation',
+                radius: overlaySize,
+                fill: color,
+                opacity: overlayOpacity,
+                stroke: null,
+                strokeWidth: 0
+            }, pointSink);
+        }
+
+        // Values the overlay draws for a series, or null when there is no overlay or no raw sample
+        // (engine summaries and streaming sketches only carry statistics)
+        _overlayValues(seriesData) {
+            const { overlay, overlayMaxPoints } = this._settings;
+            if (overlay === 'none' || !seriesData.values?.length || seriesData.weights) return null;
+
+            const { stats } = seriesData;
+            return downsampleSorted(seriesData.values, overlayMaxPoints, stats.lowerFence, stats.upperFence);
+        }
+
+        // Raw view rows whose value lies beyond the fences, in value order. Found by scanning the
+        // series' rows once rather than tracking a permutation through the sort; cached per series.
+        _outlierRows(series) {
+            const { frame, rows, stats } = series;
+            if (!frame || !rows || !stats) return null;
+            if (outlierRowCache.has(series)) return outlierRowCache.get(series);
+
+            const column = frame.numeric(series.metric);
+            const positiveOnly = this._settings.scale === 'log';
+            const result = [];
+            for (const row of rows) {
+                const value = column[row];
+                if (value !== value || (positiveOnly && value <= 0)) continue;
+                if (value < stats.lowerFence || value > stats.upperFence) {
+                    result.push({ row, value });
+                }
+            }
+            result.sort((a, b) => a.value - b.value);
+
+            outlierRowCache.set(series, result);
+            return result;
+        }
+
+        // Seeded per series, so jittered points keep their place across redraws
+        _seriesRandom(seriesData) {
+            const key = [seriesData.facet, seriesData.groupKey, seriesData.seriesKey].join('\u0000');
+            let hash = 2166136261;
+            for (let i = 0; i < key.length; i++) {
+                hash = Math.imul(hash ^ key.charCodeAt(i), 16777619);
+            }
+            return d3.randomLcg((hash >>> 0) / 4294967296);
+        }
+
+        // Point marks in box-local coordinates: handed to the canvas layer when there is one,
+        // otherwise drawn as svg circles. `style` should be shared by a whole series so the
+        // canvas can batch it into a single path.
+        _drawPoints(g, marks, style, pointSink) {
+            if (pointSink) {
+                marks.forEach(mark => pointSink.add(mark, style));
+                return;
+            }
+
+            g.selectAll(`.${style.className}`)
+                .data(marks)
+                .enter()
+                .append('circle')
+                .attr('class', style.className)
+                .attr('cx', d => d.x)
+                .attr('cy', d => d.y)
+                .attr('r', style.radius)
+                .attr('fill', style.fill)
+                .attr('fill-opacity', style.opacity)
+                .attr('stroke', style.stroke)
+                .attr('stroke-width', style.strokeWidth);
+        }
+
+        _drawViolin(g, seriesData, boxX, boxWidth, yScale, color) {
+            const { values, weights, stats } = seriesData;
+            const { kernel, bandwidth, violinInner } = this._settings;
+            const centerX = boxX + boxWidth / 2;
+
+            // Density is evaluated over the observed range so the shape never exceeds the y domain.
+            // Sketch centroids carry weights, and the bandwidth then comes from the sketch's own stats.
+            // It depends only on the values, so zoom frames re-project the cached curve.
+            const densityKey = `${kernel}|${bandwidth}`;
+            let cached = densityCache.get(seriesData);
+            if (!cached || cached.key !== densityKey) {
+                cached = {
+                    key: densityKey,
+                    density: kde(values, {
+                        kernel,
+                        bandwidth: weights ? bandwidthFromStats(stats, bandwidth) : bandwidth,
+                        weights,
+                        extent: [stats.dataMin, stats.dataMax]
+                    })
+                };
+                densityCache.set(seriesData, cached);
+            }
+            const { density } = cached;
+            const maxDensity = d3.max(density, d => d[1]) || 1;
+            const halfWidth = d3.scaleLinear()
+                .domain([0, maxDensity])
+                .range([0, boxWidth / 2]);
+
+            const area = d3.area()
+                .curve(d3.curveBasis)
+                .x0(d => centerX - halfWidth(d[1]))
+                .x1(d => centerX + halfWidth(d[1]))
+                .y(d => yScale(d[0]));
+
+            g.append('path')
+                .attr('class', 'violin')
+                .datum(density.length > 1 ? density : [[stats.min, maxDensity], [stats.max, maxDensity]])
+                .attr('d', area)
+                .attr('fill', color)
+                .attr('fill-opacity', 0.3)
+                .attr('stroke', color)
+                .attr('stroke-width', 2);
+
+            if (violinInner === 'box') {
+                // Mini-box: thin whisker line plus a narrow IQR bar
+                const innerWidth = Math.max(4, boxWidth * 0.12);
+                g.append('line')
+                    .attr('x1', centerX)
+                    .attr('x2', centerX)
+                    .attr('y1', yScale(stats.min))
+                    .attr('y2', yScale(stats.max))
+                    .attr('stroke', this._theme.text)
+                    .attr('stroke-width', 1);
+
+                g.append('rect')
+                    .attr('x', centerX - innerWidth / 2)
+                    .attr('y', yScale(stats.q3))
+                    .attr('width', innerWidth)
+                    .attr('height', yScale(stats.q1) - yScale(stats.q3))
+                    .attr('fill', this._theme.text);
+
+                g.append('circle')
+                    .attr('cx', centerX)
+                    .attr('cy', yScale(stats.median))
+                    .attr('r', 3)
+                    .attr('fill', this._theme.background)
+                    .attr('stroke', this._theme.text)
+                    .attr('stroke-width', 1);
+            } else if (violinInner === 'quartiles') {
+                // Dashed quartile lines spanning the violin width at each quartile
+                const densityAt = v => {
+                    const i = d3.bisector(d => d[0]).center(density, v);
+                    return density[i] ? halfWidth(density[i][1]) : 0;
+                };
+                [
+                    { value: stats.q1, dash: '4,3', width: 1 },
+                    { value: stats.median, dash: null, width: 2 },
+                    { value: stats.q3, dash: '4,3', width: 1 }
+                ].forEach(({ value, dash, width }) => {
+                    const w = densityAt(value);
+                    g.append('line')
+                        .attr('x1', centerX - w)
+                        .attr('x2', centerX + w)
+                        .attr('y1', yScale(value))
+                        .attr('y2', yScale(value))
+                        .attr('stroke', this._theme.text)
+                        .attr('stroke-width', width)
+                        .attr('stroke-dasharray', dash);
+                });
+            }
+        }
+
+        _addInteractivity(svg, processedData, pointLayer = null) {
+            // Create tooltip div
+            const tooltip = d3.select(this._container)
+                .append('div')
+                .style('position', 'absolute')
+                .style('background', this._theme.tooltipBackground)
+                .style('color', this._theme.tooltipColor)
+                .style('border', `1px solid ${this._theme.tooltipBorder}`)
+                .style('padding', '8px 12px')
+                .style('border-radius', '4px')
+                .style('font-size', '12px')
                 .style('pointer-events', 'none')
                 .style('opacity', 0);
 
-            // Add hover interactions to boxplot groups
-            svg.selectAll('.boxplot-group')
+            this._bindBoxEvents(svg.selectAll('.boxplot-group'), processedData, tooltip, pointLayer);
+
+            // Clicking empty space clears the selection (drag-pans and brushes don't produce clicks here)
+            svg.on('click.selection', event => {
+                if (pointLayer && pointLayer.hovered) return;
+                if (!event.target.closest('.boxplot-group, .value-brush')) {
+                    this._clearSelection();
+                }
+            });
+
+            if (pointLayer) {
+                this._addPointHitTesting(svg, pointLayer, tooltip);
+            }
+
+            return tooltip;
+        }
+
+        // Hover tooltips and click events on the drawn boxes; re-run whenever the boxes are redrawn
+        _bindBoxEvents(groups, processedData, tooltip, pointLayer = null) {
+            const self = this;
+
+            groups
                 .style('cursor', 'pointer')
                 .on('mouseenter', function(event, d) {
                     const group = d3.select(this);
                     const groupKey = group.attr('data-group');
-                    const metric = group.attr('data-metric');
                     
                     // Find the corresponding data
-                    const boxData = processedData.find(pd => 
-                        pd.groupKey === groupKey && pd.metric === metric
-                    );
+                    const boxData = self._findSeries(processedData, group);
                     
                     if (boxData) {
-                        const stats = boxData.stats;
-                        
                         // Show tooltip - fix positioning to be close to pointer
                         const containerRect = self._container.getBoundingClientRect();
                         const x = event.clientX - containerRect.left;
@@ -610,23 +2686,13 @@ async function loadPerspectiveBoxplotPlugin() {
                         
                         tooltip
                             .style('opacity', 1)
-                            .html(`
-                                <strong>${groupKey} - ${metric}</strong><br/>
-                                Count: ${stats.count}<br/>
-                                Min: ${stats.min.toFixed(2)}<br/>
-                                Q1: ${stats.q1.toFixed(2)}<br/>
-                                Median: ${stats.median.toFixed(2)}<br/>
-                                Q3: ${stats.q3.toFixed(2)}<br/>
-                                Max: ${stats.max.toFixed(2)}<br/>
-                                Mean: ${stats.mean.toFixed(2)}<br/>
-                                Outliers: ${stats.outliers.length}
-                            `)
+                            .html(self._boxTooltipHtml(boxData, groupKey))
                             .style('left', (x + 15) + 'px')    // Relative to container + small offset
                             .style('top', (y - 5) + 'px');     // Relative to container - small offset
                     }
                     
                     // Highlight the box
-                    group.selectAll('rect, line, circle')
+                    group.selectAll('rect, line, circle, path')
                         .transition()
                         .duration(150)
                         .style('opacity', 0.8)
@@ -639,7 +2705,7 @@ async function loadPerspectiveBoxplotPlugin() {
                     tooltip.style('opacity', 0);
                     
                     // Reset highlight
-                    d3.select(this).selectAll('rect, line, circle')
+                    d3.select(this).selectAll('rect, line, circle, path')
                         .transition()
                         .duration(150)
                         .style('opacity', null)
@@ -653,38 +2719,590 @@ async function loadPerspectiveBoxplotPlugin() {
                     const containerRect = self._container.getBoundingClientRect();
                     const x = event.clientX - containerRect.left;
                     const y = event.clientY - containerRect.top;
+
+                    // Over an individual point the tooltip shows that point's row instead of the box
+                    const mark = self._pointMark(event.target);
+                    const boxData = self._findSeries(processedData, d3.select(this));
+                    if (boxData) {
+                        tooltip.html(mark ? self._pointTooltipHtml(mark) : self._boxTooltipHtml(boxData, boxData.groupKey));
+                    }
                     
                     tooltip
+                        .style('opacity', 1)
                         .style('left', (x + 15) + 'px')
                         .style('top', (y - 5) + 'px');
                 })
-                .on('click', function(event, d) {
-                    const group = d3.select(this);
-                    const groupKey = group.attr('data-group');
-                    const metric = group.attr('data-metric');
-                    
-                    const boxData = processedData.find(pd => 
-                        pd.groupKey === groupKey && pd.metric === metric
-                    );
+                .on('click', function(event) {
+                    // A canvas point over the box gets the click (handled by click.points on the svg)
+                    if (pointLayer && pointLayer.hovered) return;
+
+                    const mark = self._pointMark(event.target);
+                    if (mark && mark.row !== null) {
+                        self._emitRowClick(mark);
+                        return;
+                    }
 
+                    const boxData = self._findSeries(processedData, d3.select(this));
                     if (boxData) {
-                        // Dispatch Perspective click event
-                        self.dispatchEvent(
-                            new CustomEvent("perspective-click", {
-                                bubbles: true,
-                                composed: true,
-                                detail: {
-                                    column_names: [metric],
-                                    config: { filters: [] },
-                                    row: { [metric]: boxData.stats.median }
-                                }
-                            })
-                        );
+                        self._selectBox(boxData, event.shiftKey);
+                    }
+                });
+
+            this._applySelectionHighlight();
+        }
+
+        // Collapsible panel of chart options. Edits apply immediately, live in this._settings (and so
+        // in save()), and are announced with a bubbling perspective-config-update event. The panel
+        // node survives re-renders and its fields are rebuilt only when the settings change.
+        _drawSettingsPanel() {
+            this._toolbarButton('Settings', 'Chart options', () => {
+                this._settingsPanelOpen = !this._settingsPanelOpen;
+                this._renderSettingsFields();
+            });
+
+            // Gone after an error message or clear() replaced the container's content
+            if (!this._settingsPanel || this._settingsPanel.node().parentNode !== this._container) {
+                this._settingsPanel = d3.select(this._container)
+                    .append('div')
+                    .attr('class', 'boxplot-settings-panel')
+                    .style('position', 'absolute')
+                    .style('z-index', 1)
+                    .style('left', '4px')
+                    .style('top', '26px')
+                    .style('max-height', 'calc(100% - 32px)')
+                    .style('overflow', 'auto')
+                    .style('padding', '6px 8px')
+                    .style('border-radius', '4px')
+                    .style('box-shadow', '0 2px 6px rgba(0, 0, 0, 0.15)')
+                    .style('font-size', '12px');
+                this._settingsPanelFor = null;
+            }
+
+            const theme = this._theme;
+            this._settingsPanel
+                .style('background', theme.background)
+                .style('color', theme.text)
+                .style('border', `1px solid ${theme.border}`);
+
+            if (this._settingsPanelFor !== this._settings) {
+                this._renderSettingsFields();
+            }
+        }
+
+        _renderSettingsFields() {
+            const panel = this._settingsPanel;
+            this._settingsPanelFor = this._settings;
+            panel.style('display', this._settingsPanelOpen ? null : 'none').selectAll('*').remove();
+            if (!this._settingsPanelOpen) return;
+
+            const grid = panel.append('div')
+                .style('display', 'grid')
+                .style('grid-template-columns', 'auto auto')
+                .style('gap', '4px 8px')
+                .style('align-items', 'center');
+
+            SETTINGS_FIELDS
+                .filter(field => !field.when || field.when(this._settings))
+                .forEach(field => {
+                    grid.append('label').text(field.label);
+                    this._settingsControl(grid, field);
+                });
+
+            panel.append('button')
+                .attr('type', 'button')
+                .style('margin-top', '6px')
+                .style('font-size', '11px')
+                .text('Reset to defaults')
+                .on('click', () => {
+                    const defaults = Object.fromEntries(SETTINGS_FIELDS.map(f => [f.key, DEFAULT_SETTINGS[f.key]]));
+                    this._updateSettings(defaults);
+                });
+        }
+
+        _settingsControl(parent, field) {
+            const value = field.get ? field.get(this._settings) : this._settings[field.key];
+            const update = v => this._updateSettings(field.set ? field.set(this._settings, v) : { [field.key]: v });
+
+            if (field.type === 'checkbox') {
+                parent.append('input')
+                    .attr('type', 'checkbox')
+                    .property('checked', !!value)
+                    .on('change', event => update(event.target.checked));
+                return;
+            }
+
+            if (field.type === 'number') {
+                parent.append('input')
+                    .attr('type', 'number')
+                    .attr('min', field.min ?? null)
+                    .attr('max', field.max ?? null)
+                    .attr('step', field.step ?? 'any')
+                    .style('width', '6em')
+                    .property('value', value)
+                    .on('change', event => {
+                        // Typed values can be outside min/max; clamp them, and put back the current
+                        // value for anything a restore() would reject
+                        const number = Math.min(field.max ?? Infinity, Math.max(field.min ?? -Infinity, parseFloat(event.target.value)));
+                        if (isValidSetting(field.key, number)) {
+                            event.target.value = number;
+                            update(number);
+                        } else {
+                            event.target.value = value;
+                        }
+                    });
+                return;
+            }
+
+            const options = (typeof field.options === 'function' ? field.options(this._settings) : field.options)
+                .map(o => Array.isArray(o) ? o : [o, o]);
+            const numeric = typeof DEFAULT_SETTINGS[field.key] === 'number';
+            const select = parent.append('select')
+                .on('change', event => {
+                    const raw = event.target.value;
+                    update(numeric ? +raw : raw);
+                });
+            select.selectAll('option')
+                .data(options)
+                .enter()
+                .append('option')
+                .attr('value', d => d[0])
+                .property('selected', d => String(d[0]) === String(value))
+                .text(d => d[1]);
+        }
+
+        // Applies option changes, tells the viewer its saved state changed, and redraws. Changes that
+        // don't affect the statistics (such as hidden series) repaint the series already computed.
+        _updateSettings(changes, { refetch = true } = {}) {
+            this._settings = { ...this._settings, ...changes };
+            this._notifyConfigUpdate();
+
+            if (!refetch && this._renderedSeries) {
+                this._renderSeries(this._renderedSeries);
+            } else if (this._view) {
+                this.draw(this._view);
+            }
+        }
+
+        // Announces the change the way the viewer does: perspective-config-update carries the whole
+        // viewer config, so apps saving `event.detail` keep the columns, group_by and filters too
+        async _notifyConfigUpdate() {
+            const viewer = this.parentElement;
+            if (!viewer || typeof viewer.save !== 'function') return;
+
+            try {
+                const detail = await viewer.save();
+                this.dispatchEvent(new CustomEvent('perspective-config-update', {
+                    bubbles: true,
+                    composed: true,
+                    detail
+                }));
+            } catch (error) {
+                console.warn('Could not read the viewer config for perspective-config-update:', error);
+            }
+        }
+
+        // Every outlier in the view with its box and, where known, its full row
+        _outlierEntries(processedData) {
+            return processedData.flatMap(series => {
+                const rows = this._outlierRows(series) || series.stats.outliers.map(value => ({ value, row: null }));
+                return rows.map(({ value, row }) => ({
+                    series,
+                    value,
+                    row,
+                    record: {
+                        Group: series.groupKey,
+                        Series: series.seriesKey,
+                        Value: value,
+                        ...(row !== null ? series.frame.row(row) : {})
+                    }
+                }));
+            });
+        }
+
+        // "Outliers" toolbar toggle plus a side panel listing every outlier row. Headers sort,
+        // rows emit the same row-level click as the points, and Copy puts the table on the clipboard.
+        _drawOutlierPanel(processedData) {
+            const entries = this._outlierEntries(processedData);
+            if (entries.length === 0) return;
+
+            const state = this._outlierPanel;
+            this._toolbarButton(`Outliers (${entries.length})`, 'List the rows behind every outlier', () => {
+                state.open = !state.open;
+                this._renderOutlierTable(panel, entries);
+            });
+
+            const panel = d3.select(this._container)
+                .append('div')
+                .attr('class', 'boxplot-outlier-panel')
+                .style('position', 'absolute')
+                .style('top', '0')
+                .style('right', '0')
+                .style('bottom', '0')
+                .style('width', '45%')
+                .style('overflow', 'auto')
+                .style('background', this._theme.background)
+                .style('border-left', `1px solid ${this._theme.border}`)
+                .style('box-shadow', '-2px 0 6px rgba(0, 0, 0, 0.1)')
+                .style('font-size', '12px');
+
+            this._renderOutlierTable(panel, entries);
+        }
+
+        _renderOutlierTable(panel, entries) {
+            const state = this._outlierPanel;
+            panel.style('display', state.open ? null : 'none').selectAll('*').remove();
+            if (!state.open) return;
+
+            const columns = [...new Set(entries.flatMap(e => Object.keys(e.record)))];
+            const sorted = entries.slice().sort((a, b) => {
+                const order = d3.ascending(a.record[state.sortColumn], b.record[state.sortColumn]);
+                return state.descending ? -order : order;
+            });
+
+            const header = panel.append('div')
+                .style('display', 'flex')
+                .style('align-items', 'center')
+                .style('gap', '6px')
+                .style('padding', '6px 8px')
+                .style('position', 'sticky')
+                .style('top', '0')
+                .style('background', this._theme.background)
+                .style('border-bottom', `1px solid ${this._theme.border}`);
+
+            header.append('strong')
+                .style('flex', '1')
+                .text(`${entries.length} outlier${entries.length === 1 ? '' : 's'}`);
+            header.append('button')
+                .attr('type', 'button')
+                .text('Copy')
+                .attr('title', 'Copy as tab-separated text')
+                .on('click', () => this._copyOutliers(columns, sorted));
+            header.append('button')
+                .attr('type', 'button')
+                .text('Close')
+                .on('click', () => {
+                    state.open = false;
+                    this._renderOutlierTable(panel, entries);
+                });
+
+            const table = panel.append('table')
+                .style('border-collapse', 'collapse')
+                .style('width', '100%');
+
+            table.append('thead').append('tr')
+                .selectAll('th')
+                .data(columns)
+                .enter()
+                .append('th')
+                .style('text-align', 'left')
+                .style('padding', '4px 8px')
+                .style('cursor', 'pointer')
+                .style('white-space', 'nowrap')
+                .style('border-bottom', `1px solid ${this._theme.border}`)
+                .text(col => col === state.sortColumn ? `${col} ${state.descending ? '\u25bc' : '\u25b2'}` : col)
+                .on('click', (event, col) => {
+                    state.descending = col === state.sortColumn ? !state.descending : false;
+                    state.sortColumn = col;
+                    this._renderOutlierTable(panel, entries);
+                });
+
+            // Very long lists are truncated on screen; Copy still includes every row
+            const shown = sorted.slice(0, 1000);
+            table.append('tbody')
+                .selectAll('tr')
+                .data(shown)
+                .enter()
+                .append('tr')
+                .style('cursor', entry => entry.row !== null ? 'pointer' : null)
+                .on('click', (event, entry) => {
+                    if (entry.row !== null) {
+                        this._emitRowClick(entry);
                     }
+                })
+                .selectAll('td')
+                .data(entry => columns.map(col => entry.record[col]))
+                .enter()
+                .append('td')
+                .style('padding', '2px 8px')
+                .style('white-space', 'nowrap')
+                .style('border-bottom', `1px solid ${this._theme.border}`)
+                .text(value => this._formatCell(value));
+
+            if (sorted.length > shown.length) {
+                panel.append('div')
+                    .style('padding', '6px 8px')
+                    .style('color', this._theme.mutedText)
+                    .text(`Showing ${shown.length} of ${sorted.length} - Copy includes them all`);
+            }
+        }
+
+        async _copyOutliers(columns, entries) {
+            const clean = value => value === null || value === undefined ? '' : String(value).replace(/[\t\n]/g, ' ');
+            const text = [columns.join('\t')]
+                .concat(entries.map(entry => columns.map(col => clean(entry.record[col])).join('\t')))
+                .join('\n');
+
+            try {
+                await navigator.clipboard.writeText(text);
+            } catch (error) {
+                console.warn('Could not copy outliers to the clipboard:', error);
+            }
+        }
+
+        _boxTooltipHtml(boxData, groupKey) {
+            const stats = boxData.stats;
+            return `
+                <strong>${escapeHtml(groupKey)} - ${escapeHtml(boxData.metric)}${boxData.hue !== null ? ` (${escapeHtml(boxData.hue)})` : ''}</strong><br/>
+                Count: ${stats.count}<br/>
+                Min: ${stats.dataMin.toFixed(2)}<br/>
+                Lower whisker: ${stats.min.toFixed(2)}<br/>
+                Q1: ${stats.q1.toFixed(2)}<br/>
+                Median: ${stats.median.toFixed(2)}<br/>
+                Q3: ${stats.q3.toFixed(2)}<br/>
+                Upper whisker: ${stats.max.toFixed(2)}<br/>
+                Max: ${stats.dataMax.toFixed(2)}<br/>
+                Mean: ${stats.mean.toFixed(2)}<br/>
+                Outliers: ${stats.outlierCountEstimated ? `≈${Math.round(stats.outlierCount)} (estimated)` : stats.outlierCount}<br/>
+                Whiskers: ${stats.whiskerRule}<br/>
+                Quantiles: ${stats.quantileMethod}<br/>
+                ${this._formatConfidenceIntervals(stats)}
+            `;
+        }
+
+        // The mark behind an svg point element (outlier or overlay circle), if that's what `target` is
+        _pointMark(target) {
+            const mark = d3.select(target).datum();
+            return mark && mark.series && 'row' in mark ? mark : null;
+        }
+
+        // A point's value plus the other columns of its row, when the row is known
+        _pointTooltipHtml(mark) {
+            const { groupKey, metric, hue, frame } = mark.series;
+            const lines = [
+                `<strong>${escapeHtml(groupKey)} - ${escapeHtml(metric)}${hue !== null ? ` (${escapeHtml(hue)})` : ''}</strong>`,
+                `${mark.kind}: ${mark.value.toFixed(2)}`
+            ];
+            if (mark.row !== null && frame) {
+                Object.entries(frame.row(mark.row))
+                    .filter(([col]) => col !== metric)
+                    .slice(0, 12)
+                    .forEach(([col, value]) => lines.push(`${escapeHtml(col)}: ${escapeHtml(this._formatCell(value))}`));
+            }
+            return lines.join('<br/>');
+        }
+
+        _formatCell(value) {
+            if (value === null || value === undefined) return '';
+            if (typeof value === 'number' && !Number.isInteger(value)) return value.toFixed(2);
+            return String(value);
+        }
+
+        // Row-level perspective-click: the full row, filtered down to its box plus the exact value
+        _emitRowClick(mark) {
+            const { series, value, row } = mark;
+            this.dispatchEvent(new CustomEvent('perspective-click', {
+                bubbles: true,
+                composed: true,
+                detail: {
+                    column_names: [series.metric],
+                    config: { filter: [...this._seriesFilter(series), [series.metric, '==', value]] },
+                    row: series.frame.row(row)
+                }
+            }));
+        }
+
+        // Plain click selects one box, shift-click adds or removes it. Emits perspective-click for the
+        // clicked box and perspective-select for the whole selection.
+        _selectBox(series, additive) {
+            const key = this._selectionKey(series);
+            if (!additive) {
+                this._selection = new Map([[key, series]]);
+            } else if (this._selection.has(key)) {
+                this._selection.delete(key);
+            } else {
+                this._selection.set(key, series);
+            }
+            this._applySelectionHighlight();
+
+            this.dispatchEvent(new CustomEvent('perspective-click', {
+                bubbles: true,
+                composed: true,
+                detail: {
+                    column_names: [series.metric],
+                    config: { filter: this._seriesFilter(series) },
+                    row: this._seriesRow(series)
+                }
+            }));
+            this._dispatchSelect();
+        }
+
+        _clearSelection() {
+            if (this._selection.size === 0) return;
+            this._selection = new Map();
+            this._applySelectionHighlight();
+            this._dispatchSelect();
+        }
+
+        _dispatchSelect() {
+            const selected = [...this._selection.values()];
+            this.dispatchEvent(new CustomEvent('perspective-select', {
+                bubbles: true,
+                composed: true,
+                detail: {
+                    selected: selected.length > 0,
+                    column_names: [...new Set(selected.map(s => s.metric))],
+                    config: { filter: this._selectionFilter(selected) },
+                    // One entry per box, for listeners that need the exact set rather than the combined filter
+                    selection: selected.map(s => ({ row: this._seriesRow(s), filter: this._seriesFilter(s) }))
+                }
+            }));
+        }
+
+        // Dims every box outside a non-empty selection
+        _applySelectionHighlight() {
+            if (!this._container) return;
+            const selecting = this._selection.size > 0;
+
+            d3.select(this._container).selectAll('.boxplot-group').each((d, i, nodes) => {
+                const group = d3.select(nodes[i]);
+                const key = [group.attr('data-facet'), group.attr('data-group'), group.attr('data-series')].join('\u0000');
+                const selected = this._selection.has(key);
+                group
+                    .classed('selected', selected)
+                    .style('opacity', selecting && !selected ? 0.3 : null);
+            });
+        }
+
+        // Same identity the .boxplot-group data-* attributes carry (a missing data-facet reads as null)
+        _selectionKey(series) {
+            return [series.facet, series.groupKey, series.seriesKey].join('\u0000');
+        }
+
+        // group_by, split_by and facet column values identifying one box, as raw table values
+        _seriesRow(series) {
+            const row = {};
+            (series.groupColumns || []).forEach((col, i) => { row[col] = series.groupValues[i]; });
+            (series.hueColumns || []).forEach((col, i) => { row[col] = series.hueValues[i]; });
+
+            const { facet, facetColumn } = this._settings;
+            if (facet === 'column' && facetColumn && series.facet !== null) {
+                row[facetColumn] = series.facetValue;
+            }
+            return row;
+        }
+
+        _seriesFilter(series) {
+            return Object.entries(this._seriesRow(series))
+                .map(([col, value]) => value === null ? [col, 'is null'] : [col, '==', value]);
+        }
+
+        // One clause per column: '==' where every selected box agrees, 'in' where they differ
+        _selectionFilter(selected) {
+            const values = new Map();
+            selected.forEach(series => {
+                Object.entries(this._seriesRow(series)).forEach(([col, value]) => {
+                    if (!values.has(col)) values.set(col, new Set());
+                    values.get(col).add(value);
                 });
+            });
+
+            return [...values].map(([col, set]) => {
+                if (set.size === 1) {
+                    const [value] = set;
+                    return value === null ? [col, 'is null'] : [col, '==', value];
+                }
+                // Filters are ANDed, so a null group can't be combined with others in one clause
+                if (set.has(null)) {
+                    console.warn(`Selection filter on "${col}" can't include null alongside other values; the null group is left out`);
+                    set.delete(null);
+                }
+                return [col, 'in', [...set]];
+            });
+        }
+
+        // Canvas points have no elements to hover, so the nearest one is found through the quadtree
+        _addPointHitTesting(svg, pointLayer, tooltip) {
+            const highlight = svg.append('circle')
+                .attr('class', 'point-highlight')
+                .attr('fill', 'none')
+                .attr('stroke', this._theme.text)
+                .attr('stroke-width', 2)
+                .style('pointer-events', 'none')
+                .style('display', 'none');
+            let hovered = null;
+
+            svg.on('mousemove.points', event => {
+                const [x, y] = d3.pointer(event, svg.node());
+                const point = pointLayer.quadtree.find(x, y, POINT_HIT_RADIUS);
+
+                pointLayer.hovered = point;
+                if (!point) {
+                    if (hovered) {
+                        hovered = null;
+                        highlight.style('display', 'none');
+                        // Still over a box, whose own handler has already switched back to its tooltip
+                        if (!event.target.closest('.boxplot-group')) {
+                            tooltip.style('opacity', 0);
+                        }
+                    }
+                    return;
+                }
+
+                hovered = point;
+                highlight
+                    .attr('cx', point.x)
+                    .attr('cy', point.y)
+                    .attr('r', point.style.radius + 2)
+                    .style('display', null);
+
+                const containerRect = this._container.getBoundingClientRect();
+                tooltip
+                    .style('opacity', 1)
+                    .html(this._pointTooltipHtml(point))
+                    .style('left', (event.clientX - containerRect.left + 15) + 'px')
+                    .style('top', (event.clientY - containerRect.top - 5) + 'px');
+            }).on('click.points', () => {
+                if (hovered && hovered.row !== null) {
+                    this._emitRowClick(hovered);
+                }
+            }).on('mouseleave.points', () => {
+                hovered = null;
+                pointLayer.hovered = null;
+                highlight.style('display', 'none');
+                tooltip.style('opacity', 0);
+            });
+        }
+
+        // Series drawn by a .boxplot-group element, matched on its data-* attributes
+        _findSeries(processedData, group) {
+            const groupKey = group.attr('data-group');
+            const seriesKey = group.attr('data-series');
+            const facet = group.attr('data-facet');
+
+            return processedData.find(pd =>
+                pd.groupKey === groupKey && pd.seriesKey === seriesKey && pd.facet === facet
+            );
+        }
+
+        _formatConfidenceIntervals(stats) {
+            const range = ([lo, hi]) => `${lo.toFixed(2)} \u2013 ${hi.toFixed(2)}`;
+            const lines = [`Median notch (McGill): ${range(stats.medianNotch)}`];
+
+            if (stats.medianCI) {
+                const pct = Math.round(stats.ciLevel * 100);
+                lines.push(`Median ${pct}% CI (bootstrap): ${range(stats.medianCI)}`);
+                lines.push(`Mean ${pct}% CI (bootstrap): ${range(stats.meanCI)}`);
+            }
+            return lines.join('<br/>');
         }
 
         async update(view) {
+            // A live streaming view already follows the table through on_update
+            const stream = this._stream;
+            if (stream && stream.configKey === this._streamingConfigKey(await view.get_config())) {
+                this._view = view;
+                return;
+            }
             return this.draw(view);
         }
 
@@ -695,27 +3313,41 @@ async function loadPerspectiveBoxplotPlugin() {
         }
 
         async resize() {
-            // Re-render on resize
+            // Re-render on resize; a streaming chart redraws from its sketches without re-reading the table
+            if (this._stream) {
+                return this._renderStreaming();
+            }
             if (this._view) {
                 return this.draw(this._view);
             }
         }
 
         async save() {
-            return {
-                // Save any user settings here
-            };
+            return serializeState(this._settings);
         }
 
         async restore(config) {
-            // Restore user settings here
+            this._settings = parseState(config);
         }
 
         async delete() {
+            await this._releaseStreamingView();
+            if (this._themeObserver) {
+                this._themeObserver.disconnect();
+                this._themeObserver = null;
+            }
+            if (this._statsJob) {
+                this._statsJob.cancel();
+            }
+            if (this._statsWorker) {
+                this._statsWorker.terminate();
+                this._statsWorker = null;
+            }
             if (this._container) {
                 this._container.innerHTML = "";
                 this._container = null;
             }
+            this._settingsPanel = null;
             this._chart = null;
             this._view = null;
         }
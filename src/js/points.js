@@ -0,0 +1,67 @@
+// Layout helpers for point overlays drawn on top of the boxes
+
+// At most `maxPoints` values from an ascending-sorted array, evenly spaced by rank so the sample
+// keeps the shape of the distribution. Values beyond [lo, hi] (the outliers) are always kept.
+function downsampleSorted(sortedValues, maxPoints, lo = -Infinity, hi = Infinity) {
+    const n = sortedValues.length;
+    if (n <= maxPoints) return Array.from(sortedValues);
+
+    const tails = [];
+    const inner = [];
+    for (let i = 0; i < n; i++) {
+        (sortedValues[i] < lo || sortedValues[i] > hi ? tails : inner).push(sortedValues[i]);
+    }
+
+    const budget = Math.max(0, maxPoints - tails.length);
+    const sample = [];
+    if (budget === 1) {
+        sample.push(inner[Math.floor(inner.length / 2)]);
+    } else if (budget > 1) {
+        for (let i = 0; i < budget; i++) {
+            sample.push(inner[Math.round(i * (inner.length - 1) / (budget - 1))]);
+        }
+    }
+
+    return sample.concat(tails).sort((a, b) => a - b);
+}
+
+// Non-overlapping beeswarm. `positions` are the points' pixel positions along the value axis, in
+// value order. Each point takes the offset closest to the centre line that clears every point
+// already placed within one diameter of it. Offsets are clamped to ±maxOffset, so a swarm
+// too wide for its box overlaps at the edges rather than spilling into its neighbours.
+function beeswarmOffsets(positions, radius, maxOffset = Infinity) {
+    const diameter = radius * 2;
+    const offsets = new Float64Array(positions.length);
+    const placed = [];
+    let windowStart = 0;
+
+    for (let i = 0; i < positions.length; i++) {
+        const y = positions[i];
+
+        // Positions are monotonic, so earlier points more than a diameter away are out of reach for good
+        while (windowStart < placed.length && Math.abs(placed[windowStart].y - y) >= diameter) {
+            windowStart++;
+        }
+        const neighbours = placed.slice(windowStart);
+
+        const candidates = [0];
+        neighbours.forEach(p => {
+            const dx = Math.sqrt(diameter * diameter - (p.y - y) * (p.y - y));
+            candidates.push(p.x - dx, p.x + dx);
+        });
+        candidates.sort((a, b) => Math.abs(a) - Math.abs(b));
+
+        // Small tolerance so the tangent positions computed above count as clear
+        const clear = x => neighbours.every(p =>
+            (p.x - x) * (p.x - x) + (p.y - y) * (p.y - y) >= diameter * diameter - 1e-6
+        );
+        const x = candidates.find(clear) ?? 0;
+
+        offsets[i] = Math.max(-maxOffset, Math.min(maxOffset, x));
+        placed.push({ x, y });
+    }
+
+    return offsets;
+}
+
+export { downsampleSorted, beeswarmOffsets };
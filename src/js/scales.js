@@ -0,0 +1,121 @@
+import * as d3 from 'd3';
+
+// Separator used to build a single string key from a multi-level group path
+const GROUP_PATH_SEPARATOR = ' › ';
+
+// Band scale over hierarchical group paths. Mirrors the parts of d3.scaleBand the
+// plugin uses (scale(key), domain(), range(), bandwidth(), step()) and adds extra
+// spacing wherever an outer level changes, so sibling groups read as a block.
+function hierarchicalBandScale(paths, range, { padding = 0.2, levelGap = 0.5 } = {}) {
+    const keys = paths.map(p => p.join(GROUP_PATH_SEPARATOR));
+    const depth = paths.reduce((max, p) => Math.max(max, p.length), 0);
+
+    // Offsets in "band units": 1 per leaf plus gaps that grow with the level that changed
+    const offsets = [];
+    let units = 0;
+    paths.forEach((path, i) => {
+        if (i > 0) {
+            const prev = paths[i - 1];
+            let level = 0;
+            while (level < depth && prev[level] === path[level]) level++;
+            units += levelGap * Math.max(0, depth - 1 - level);
+        }
+        offsets.push(units);
+        units += 1;
+    });
+
+    const [r0, r1] = range;
+    const step = units > 0 ? (r1 - r0) / units : 0;
+    const positions = new Map(keys.map((k, i) => [k, r0 + (offsets[i] + padding / 2) * step]));
+    const keyPaths = new Map(keys.map((k, i) => [k, paths[i]]));
+
+    const scale = key => positions.get(key);
+    scale.domain = () => keys.slice();
+    scale.range = () => [r0, r1];
+    scale.step = () => step;
+    scale.bandwidth = () => step * (1 - padding);
+    scale.depth = () => depth;
+    scale.path = key => keyPaths.get(key);
+
+    // Contiguous runs of leaves sharing the same prefix at `level`, for bracketed outer labels
+    scale.spans = level => {
+        const spans = [];
+        keys.forEach(key => {
+            const path = keyPaths.get(key);
+            const prefix = path.slice(0, level + 1).join(GROUP_PATH_SEPARATOR);
+            const last = spans[spans.length - 1];
+            const x0 = scale(key);
+            const x1 = x0 + scale.bandwidth();
+            if (last && last.prefix === prefix) {
+                last.x1 = x1;
+            } else {
+                spans.push({ prefix, label: path[level], x0, x1 });
+            }
+        });
+        return spans;
+    };
+
+    return scale;
+}
+
+const VALUE_SCALES = {
+    linear: () => d3.scaleLinear(),
+    log: () => d3.scaleLog(),
+    symlog: () => d3.scaleSymlog(),
+    sqrt: () => d3.scaleSqrt()
+};
+
+function createValueScale(type, domain, range) {
+    const factory = VALUE_SCALES[type] || VALUE_SCALES.linear;
+    return factory().domain(domain).range(range);
+}
+
+// Pads an extent so the outermost whiskers/outliers don't sit on the plot edge.
+// Log scales pad multiplicatively; the others pad by 5% of the span.
+function padValueDomain(type, [lo, hi]) {
+    if (type === 'log') {
+        const span = Math.log10(hi) - Math.log10(lo);
+        const pad = Math.pow(10, span > 0 ? span * 0.05 : 0.1);
+        return [lo / pad, hi * pad];
+    }
+    const span = hi - lo;
+    const pad = span > 0 ? span * 0.05 : (Math.abs(lo) * 0.1 || 1);
+    return [lo - pad, hi + pad];
+}
+
+// Tick values and label formatter suited to each scale type
+function valueTicks(scale, type, count = 8) {
+    if (type === 'log') {
+        // Every log tick gets a gridline, but only ~count of them get a label
+        return { ticks: scale.ticks(count), format: scale.tickFormat(count, '~s') };
+    }
+
+    if (type === 'symlog') {
+        // Signed powers of ten (and zero), falling back to linear ticks for small spans
+        const [lo, hi] = scale.domain();
+        const maxAbs = Math.max(Math.abs(lo), Math.abs(hi));
+        if (maxAbs < 10) {
+            return { ticks: d3.ticks(lo, hi, count), format: d3.format('~g') };
+        }
+        let ticks = [];
+        for (let k = 0; Math.pow(10, k) <= maxAbs; k++) {
+            [-1, 1].forEach(sign => {
+                const v = sign * Math.pow(10, k);
+                if (v >= lo && v <= hi) ticks.push(v);
+            });
+        }
+        if (lo <= 0 && hi >= 0) ticks.push(0);
+        ticks.sort(d3.ascending);
+        while (ticks.length > count * 1.5) {
+            ticks = ticks.filter((_, i) => i % 2 === 0);
+        }
+        return { ticks, format: d3.format('~s') };
+    }
+
+    return { ticks: scale.ticks(count), format: scale.tickFormat(count) };
+}
+
+export {
+    GROUP_PATH_SEPARATOR, hierarchicalBandScale,
+    VALUE_SCALES, createValueScale, padValueDomain, valueTicks
+};
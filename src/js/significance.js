@@ -0,0 +1,289 @@
+// Hypothesis tests for comparing boxes, and the distribution functions they need.
+// Every test takes samples sorted ascending (as the plugin's series values are) and returns
+// null when the samples are too small or degenerate to test.
+
+// ln Γ(x), Lanczos approximation (g = 7, n = 9)
+const LANCZOS = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61503916999185, 12.507343278686905, -0.13857109526572012,
+    9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+function logGamma(x) {
+    if (x < 0.5) {
+        // Reflection formula
+        return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    }
+    x -= 1;
+    let sum = LANCZOS[0];
+    for (let i = 1; i < LANCZOS.length; i++) sum += LANCZOS[i] / (x + i);
+    const t = x + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+const EPSILON = 1e-14;
+const MAX_ITERATIONS = 500;
+const TINY = 1e-300;
+
+// Upper regularized incomplete gamma Q(a, x) = 1 - P(a, x). Series below a + 1, continued fraction above.
+function gammaQ(a, x) {
+    if (x <= 0) return 1;
+    const front = Math.exp(-x + a * Math.log(x) - logGamma(a));
+
+    if (x < a + 1) {
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < MAX_ITERATIONS; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * EPSILON) break;
+        }
+        return Math.max(0, 1 - sum * front);
+    }
+
+    // Modified Lentz
+    let b = x + 1 - a;
+    let c = 1 / TINY;
+    let d = 1 / b;
+    let h = d;
+    for (let n = 1; n < MAX_ITERATIONS; n++) {
+        const an = -n * (n - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < TINY) d = TINY;
+        c = b + an / c;
+        if (Math.abs(c) < TINY) c = TINY;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < EPSILON) break;
+    }
+    return Math.min(1, front * h);
+}
+
+// Continued fraction for the incomplete beta function (Numerical Recipes' betacf)
+function betaFraction(a, b, x) {
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < TINY) d = TINY;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m < MAX_ITERATIONS; m++) {
+        const m2 = 2 * m;
+        let an = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 + an * d;
+        if (Math.abs(d) < TINY) d = TINY;
+        c = 1 + an / c;
+        if (Math.abs(c) < TINY) c = TINY;
+        d = 1 / d;
+        h *= d * c;
+
+        an = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 + an * d;
+        if (Math.abs(d) < TINY) d = TINY;
+        c = 1 + an / c;
+        if (Math.abs(c) < TINY) c = TINY;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < EPSILON) break;
+    }
+    return h;
+}
+
+// Regularized incomplete beta I_x(a, b)
+function betaI(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    // The fraction converges quickly only on this side of the mean
+    return x < (a + 1) / (a + b + 2)
+        ? front * betaFraction(a, b, x) / a
+        : 1 - front * betaFraction(b, a, 1 - x) / b;
+}
+
+// Two-sided tail probabilities
+const normalTwoSided = z => gammaQ(0.5, z * z / 2);
+const studentTwoSided = (t, df) => betaI(df / (df + t * t), df / 2, 0.5);
+const chiSquareUpper = (x, df) => gammaQ(df / 2, x / 2);
+
+// Sum over tie groups of t³ - t, for the tie corrections
+const tieTerm = t => t * t * t - t;
+
+// Number of orderings of m + n distinct values giving each U, for the exact Mann–Whitney test.
+// counts[m][n][u] via f(m, n, u) = f(m - 1, n, u - n) + f(m, n - 1, u).
+function exactUCounts(m, n) {
+    let previous = null;
+    for (let i = 0; i <= m; i++) {
+        const row = [];
+        for (let j = 0; j <= n; j++) {
+            const counts = new Float64Array(i * j + 1);
+            if (i === 0 || j === 0) {
+                counts[0] = 1;
+            } else {
+                const withoutB = row[j - 1];
+                const withoutA = previous[j];
+                for (let u = 0; u < withoutB.length; u++) counts[u] += withoutB[u];
+                for (let u = 0; u < withoutA.length; u++) counts[u + j] += withoutA[u];
+            }
+            row.push(counts);
+        }
+        previous = row;
+    }
+    return previous[n];
+}
+
+// Mann–Whitney U (Wilcoxon rank-sum), two-sided. Exact for small samples without ties,
+// otherwise the normal approximation with tie and continuity corrections (as scipy does).
+function mannWhitneyU(a, b) {
+    const n1 = a.length;
+    const n2 = b.length;
+    if (n1 === 0 || n2 === 0) return null;
+
+    // Both samples are sorted, so ranks come from a single merge
+    let i = 0;
+    let j = 0;
+    let rank = 0;
+    let rankSum = 0;
+    let ties = 0;
+    while (i < n1 || j < n2) {
+        const value = j >= n2 || (i < n1 && a[i] <= b[j]) ? a[i] : b[j];
+        let inA = 0;
+        let inB = 0;
+        while (i < n1 && a[i] === value) { i++; inA++; }
+        while (j < n2 && b[j] === value) { j++; inB++; }
+        const t = inA + inB;
+        rankSum += inA * (rank + (t + 1) / 2);
+        ties += tieTerm(t);
+        rank += t;
+    }
+
+    const N = n1 + n2;
+    const u = rankSum - n1 * (n1 + 1) / 2;
+    const mean = n1 * n2 / 2;
+
+    let p;
+    if (ties === 0 && n1 <= 20 && n2 <= 20) {
+        const counts = exactUCounts(n1, n2);
+        const total = counts.reduce((sum, c) => sum + c, 0);
+        const lowTail = Math.min(u, n1 * n2 - u);
+        let tail = 0;
+        for (let k = 0; k <= lowTail; k++) tail += counts[k];
+        p = Math.min(1, 2 * tail / total);
+    } else {
+        const variance = n1 * n2 / 12 * ((N + 1) - ties / (N * (N - 1)));
+        if (!(variance > 0)) return { test: 'mann-whitney', statistic: u, p: 1 };
+        const z = Math.max(0, Math.abs(u - mean) - 0.5) / Math.sqrt(variance);
+        p = normalTwoSided(z);
+    }
+
+    return { test: 'mann-whitney', statistic: u, p };
+}
+
+// Welch's unequal-variance t-test, two-sided
+function welchTTest(a, b) {
+    const n1 = a.length;
+    const n2 = b.length;
+    if (n1 < 2 || n2 < 2) return null;
+
+    const moments = values => {
+        let mean = 0;
+        for (let i = 0; i < values.length; i++) mean += values[i];
+        mean /= values.length;
+        let ss = 0;
+        for (let i = 0; i < values.length; i++) ss += (values[i] - mean) * (values[i] - mean);
+        return { mean, variance: ss / (values.length - 1) };
+    };
+    const m1 = moments(a);
+    const m2 = moments(b);
+    const se1 = m1.variance / n1;
+    const se2 = m2.variance / n2;
+    if (!(se1 + se2 > 0)) return null;
+
+    const t = (m1.mean - m2.mean) / Math.sqrt(se1 + se2);
+    const df = (se1 + se2) * (se1 + se2) / (se1 * se1 / (n1 - 1) + se2 * se2 / (n2 - 1));
+    return { test: 'welch', statistic: t, df, p: studentTwoSided(t, df) };
+}
+
+// Kruskal–Wallis H across any number of samples, with the tie correction
+function kruskalWallis(samples) {
+    const groups = samples.filter(s => s.length > 0);
+    if (groups.length < 2) return null;
+
+    const pooled = [];
+    groups.forEach((values, g) => {
+        for (let i = 0; i < values.length; i++) pooled.push([values[i], g]);
+    });
+    pooled.sort((x, y) => x[0] - y[0]);
+
+    const N = pooled.length;
+    const rankSums = new Float64Array(groups.length);
+    let ties = 0;
+    for (let start = 0; start < N;) {
+        let end = start;
+        while (end < N && pooled[end][0] === pooled[start][0]) end++;
+        const averageRank = (start + end + 1) / 2;
+        for (let k = start; k < end; k++) rankSums[pooled[k][1]] += averageRank;
+        ties += tieTerm(end - start);
+        start = end;
+    }
+
+    let h = 0;
+    groups.forEach((values, g) => { h += rankSums[g] * rankSums[g] / values.length; });
+    h = 12 / (N * (N + 1)) * h - 3 * (N + 1);
+    const correction = 1 - ties / (N * N * N - N);
+    if (!(correction > 0)) return null;
+    h /= correction;
+
+    const df = groups.length - 1;
+    return { test: 'kruskal-wallis', statistic: h, df, p: chiSquareUpper(h, df) };
+}
+
+// Multiple-comparison adjusted p-values, in the input order
+function adjustPValues(pValues, method = 'holm') {
+    const m = pValues.length;
+    if (method === 'none' || m <= 1) return pValues.slice();
+    if (method === 'bonferroni') return pValues.map(p => Math.min(1, p * m));
+
+    const order = pValues.map((p, i) => i).sort((x, y) => pValues[x] - pValues[y]);
+    const adjusted = new Array(m);
+
+    if (method === 'holm') {
+        // Step-down: running maximum from the smallest p upwards
+        let running = 0;
+        order.forEach((index, rank) => {
+            running = Math.max(running, Math.min(1, (m - rank) * pValues[index]));
+            adjusted[index] = running;
+        });
+    } else if (method === 'bh') {
+        // Benjamini–Hochberg step-up: running minimum from the largest p downwards
+        let running = 1;
+        for (let rank = m - 1; rank >= 0; rank--) {
+            const index = order[rank];
+            running = Math.min(running, m / (rank + 1) * pValues[index]);
+            adjusted[index] = running;
+        }
+    } else {
+        throw new Error(`Unknown p-value correction "${method}"`);
+    }
+    return adjusted;
+}
+
+// Conventional star rating for a p-value
+function significanceStars(p) {
+    if (p < 0.0001) return '****';
+    if (p < 0.001) return '***';
+    if (p < 0.01) return '**';
+    if (p < 0.05) return '*';
+    return 'ns';
+}
+
+function formatPValue(p) {
+    if (p < 0.0001) return 'p < 0.0001';
+    return `p = ${p < 0.001 ? p.toExponential(1) : p.toPrecision(2)}`;
+}
+
+export {
+    mannWhitneyU, welchTTest, kruskalWallis,
+    adjustPValues, significanceStars, formatPValue
+};
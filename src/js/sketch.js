@@ -0,0 +1,217 @@
+import { WHISKER_RULES, DEFAULT_STATS_OPTIONS } from './stats.js';
+
+// Merging t-digest (Dunning & Ertl) for streaming quantile estimates.
+// Points are buffered and periodically merged into centroids whose size is bounded by
+// the k1 scale function, so the tails stay close to exact while the middle is compressed.
+// The `tailSize` smallest and largest values are also kept exactly, for outliers and whisker ends:
+// even the end centroids average many observations once the digest has seen enough of them.
+function mergeSorted(a, b) {
+    const merged = new Array(a.length + b.length);
+    let i = 0;
+    let j = 0;
+    for (let k = 0; k < merged.length; k++) {
+        merged[k] = j >= b.length || (i < a.length && a[i] <= b[j]) ? a[i++] : b[j++];
+    }
+    return merged;
+}
+
+class TDigest {
+    constructor(compression = 100, tailSize = 1000) {
+        this.compression = compression;
+        this.tailSize = tailSize;
+        this.lowest = [];
+        this.highest = [];
+        this.means = [];
+        this.weights = [];
+        this.buffer = [];
+        this.count = 0;
+        this.min = Infinity;
+        this.max = -Infinity;
+        this._mean = 0;
+        this._m2 = 0;
+    }
+
+    add(x) {
+        this.buffer.push(x);
+        this.count++;
+        if (x < this.min) this.min = x;
+        if (x > this.max) this.max = x;
+
+        // Welford's running moments for the exact mean and standard deviation
+        const delta = x - this._mean;
+        this._mean += delta / this.count;
+        this._m2 += delta * (x - this._mean);
+
+        if (this.buffer.length >= this.compression * 5) {
+            this.compress();
+        }
+    }
+
+    addAll(values) {
+        for (let i = 0; i < values.length; i++) {
+            this.add(values[i]);
+        }
+    }
+
+    get mean() {
+        return this.count > 0 ? this._mean : NaN;
+    }
+
+    get deviation() {
+        return this.count > 1 ? Math.sqrt(this._m2 / (this.count - 1)) : 0;
+    }
+
+    compress() {
+        if (this.buffer.length === 0) return;
+
+        const points = this.means.map((m, i) => [m, this.weights[i]]);
+        this.buffer.forEach(x => points.push([x, 1]));
+        points.sort((a, b) => a[0] - b[0]);
+
+        const buffered = this.buffer.sort((a, b) => a - b);
+        const k = this.tailSize;
+        this.lowest = mergeSorted(this.lowest, buffered.slice(0, k)).slice(0, k);
+        this.highest = mergeSorted(this.highest, buffered.slice(-k)).slice(-k);
+        this.buffer = [];
+
+        const total = this.count;
+        const delta = this.compression;
+        const kOfQ = q => delta / (2 * Math.PI) * Math.asin(2 * q - 1);
+        const qOfK = k => (Math.sin(Math.min(k * 2 * Math.PI / delta, Math.PI / 2)) + 1) / 2;
+
+        const means = [];
+        const weights = [];
+        let [curMean, curWeight] = points[0];
+        let weightSoFar = 0;
+        let weightLimit = total * qOfK(kOfQ(0) + 1);
+
+        for (let i = 1; i < points.length; i++) {
+            const [mean, weight] = points[i];
+            if (weightSoFar + curWeight + weight <= weightLimit) {
+                curMean += (mean - curMean) * weight / (curWeight + weight);
+                curWeight += weight;
+            } else {
+                means.push(curMean);
+                weights.push(curWeight);
+                weightSoFar += curWeight;
+                weightLimit = total * qOfK(kOfQ(weightSoFar / total) + 1);
+                [curMean, curWeight] = [mean, weight];
+            }
+        }
+        means.push(curMean);
+        weights.push(curWeight);
+
+        this.means = means;
+        this.weights = weights;
+    }
+
+    // Exact extremes: the smallest and largest `tailSize` values, each ascending
+    tails() {
+        this.compress();
+        return { lowest: this.lowest, highest: this.highest };
+    }
+
+    centroids() {
+        this.compress();
+        return this.means.map((mean, i) => ({ mean, weight: this.weights[i] }));
+    }
+
+    // Interpolates between centroid centres by cumulative weight, pinned to the exact min/max
+    quantile(p) {
+        this.compress();
+        const n = this.means.length;
+        if (n === 0) return NaN;
+        if (p <= 0) return this.min;
+        if (p >= 1) return this.max;
+
+        const target = p * this.count;
+        let cumulative = 0;
+        let prevMid = 0;
+        let prevMean = this.min;
+
+        for (let i = 0; i < n; i++) {
+            const mid = cumulative + this.weights[i] / 2;
+            if (target < mid) {
+                const span = mid - prevMid;
+                return span > 0
+                    ? prevMean + (this.means[i] - prevMean) * (target - prevMid) / span
+                    : this.means[i];
+            }
+            cumulative += this.weights[i];
+            prevMid = mid;
+            prevMean = this.means[i];
+        }
+
+        const span = this.count - prevMid;
+        return span > 0 ? prevMean + (this.max - prevMean) * (target - prevMid) / span : this.max;
+    }
+}
+
+// Same shape as boxplotStats(), estimated from a digest. Outliers and whisker ends come from the
+// exact tail values. Only when more values lie beyond a fence than the tail holds is the outlier
+// count estimated from centroid weights (flagged by `outlierCountEstimated`), and the outliers
+// drawn are the most extreme ones.
+function sketchStats(digest, options = {}) {
+    if (digest.count === 0) return null;
+
+    const opts = { ...DEFAULT_STATS_OPTIONS, ...options };
+    const rule = WHISKER_RULES[opts.whisker] || WHISKER_RULES.tukey;
+    const q = p => digest.quantile(p);
+
+    const base = {
+        count: digest.count,
+        dataMin: digest.min,
+        dataMax: digest.max,
+        q1: q(0.25),
+        median: q(0.5),
+        q3: q(0.75),
+        mean: digest.mean,
+        sd: digest.deviation
+    };
+
+    const [lowerFence, upperFence] = rule.fences(base, opts, q);
+    const { lowest, highest } = digest.tails();
+    const low = lowest.filter(v => v < lowerFence);
+    const high = highest.filter(v => v > upperFence);
+
+    // A tail is complete when it holds every value, or reaches back inside the fence
+    const lowComplete = digest.count <= lowest.length || low.length < lowest.length;
+    const highComplete = digest.count <= highest.length || high.length < highest.length;
+
+    const centroids = digest.centroids();
+    const inside = centroids.filter(c => c.mean >= lowerFence && c.mean <= upperFence);
+    const beyondWeight = test => centroids.reduce((sum, c) => test(c.mean) ? sum + c.weight : sum, 0);
+
+    let min, max;
+    if (opts.whisker === 'percentile') {
+        min = lowerFence;
+        max = upperFence;
+    } else {
+        min = lowComplete
+            ? (lowest.length > low.length ? lowest[low.length] : base.dataMin)
+            : (inside.length ? inside[0].mean : base.dataMin);
+        max = highComplete
+            ? (highest.length > high.length ? highest[highest.length - high.length - 1] : base.dataMax)
+            : (inside.length ? inside[inside.length - 1].mean : base.dataMax);
+    }
+
+    const notchHalfWidth = 1.57 * (base.q3 - base.q1) / Math.sqrt(base.count);
+
+    return {
+        ...base,
+        min,
+        max,
+        iqr: base.q3 - base.q1,
+        lowerFence,
+        upperFence,
+        whiskerRule: rule.label(opts),
+        quantileMethod: `t-digest estimate (compression ${digest.compression})`,
+        medianNotch: [base.median - notchHalfWidth, base.median + notchHalfWidth],
+        outliers: low.concat(high),
+        outlierCount: (lowComplete ? low.length : Math.max(low.length, beyondWeight(v => v < lowerFence))) +
+            (highComplete ? high.length : Math.max(high.length, beyondWeight(v => v > upperFence))),
+        outlierCountEstimated: !lowComplete || !highComplete
+    };
+}
+
+export { TDigest, sketchStats };
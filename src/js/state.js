@@ -0,0 +1,211 @@
+import * as d3 from 'd3';
+
+// Version of the object returned by save(). Bump it whenever a key is added, removed or changes
+// meaning, and add a migration from the previous version below.
+const STATE_VERSION = 4;
+
+// Series colour schemes selectable through the `palette` option
+const PALETTES = {
+    category10: d3.schemeCategory10,
+    tableau10: d3.schemeTableau10,
+    set2: d3.schemeSet2,
+    dark2: d3.schemeDark2,
+    paired: d3.schemePaired
+};
+
+// Plugin options persisted through save()/restore()
+const DEFAULT_SETTINGS = {
+    mode: 'box',                // 'box' | 'violin'
+    kernel: 'gaussian',         // see KERNELS in stats.js
+    bandwidth: 'scott',         // 'scott' | 'silverman' | fixed number
+    violinInner: 'box',         // 'box' | 'quartiles' | 'none'
+    whisker: 'tukey',           // 'tukey' | 'minmax' | 'percentile' | 'sd'
+    whiskerIqr: 1.5,            // IQR multiplier for 'tukey'
+    whiskerPercentile: 5,       // lower percentile for 'percentile' (upper is 100 - p)
+    whiskerSd: 2,               // SD multiplier for 'sd'
+    quantileMethod: 7,          // Hyndman-Fan type 1-9, see QUANTILE_METHODS in stats.js
+    notch: false,               // McGill median notches on the box
+    bootstrap: false,           // bootstrap CIs for the median and mean
+    bootstrapSamples: 1000,
+    ciLevel: 0.95,
+    facet: 'none',              // 'none' | 'metric' | 'column'
+    facetColumn: null,          // column whose values become panels when facet is 'column'
+    facetScale: 'shared',       // 'shared' | 'independent' y scale across panels
+    facetColumns: null,         // grid columns, defaults to roughly square
+    orientation: 'vertical',    // 'vertical' | 'horizontal' (categories down the y-axis)
+    scale: 'linear',            // 'linear' | 'log' | 'symlog' | 'sqrt'
+    domainMin: null,            // fixed value-axis bounds; null means fit to the data
+    domainMax: null,
+    streaming: false,           // incremental t-digest statistics for ticking, append-only tables
+    sketchCompression: 100,     // t-digest compression; higher is more accurate and larger
+    aggregation: 'client',      // 'client' (raw rows in the browser) | 'engine' (per-box summaries from Perspective)
+    statsWorker: true,          // sort and summarise in a Web Worker instead of on the UI thread
+    pointRenderer: 'auto',      // 'auto' | 'svg' | 'canvas' for outliers and other point layers
+    canvasPointThreshold: 2000, // 'auto' switches points to canvas above this many
+    overlay: 'none',            // 'none' | 'strip' (jittered) | 'swarm' (non-overlapping) observations
+    overlaySize: 2.5,           // overlay point radius in px
+    overlayOpacity: 0.5,
+    overlayMaxPoints: 1000,     // per box; larger series are downsampled by rank, outliers always kept
+    zoomDomain: null,           // [lo, hi] value window from zoom/pan; null shows the whole domain
+    palette: 'theme',           // 'theme' (the viewer's series colours) or a key of PALETTES
+    legendPosition: 'auto',     // 'auto' | 'right' | 'top' | 'bottom' | 'none'
+    significanceTest: 'none',   // 'none' | 'mann-whitney' | 'welch' pairwise test drawn as brackets
+    significancePairs: 'adjacent', // 'adjacent' | 'all' | [[a, b], ...] with group keys or { group, series }
+    significanceCorrection: 'holm', // 'none' | 'bonferroni' | 'holm' | 'bh' across the chart's comparisons
+    significanceLabel: 'stars', // 'stars' | 'p'
+    significanceOmnibus: false, // Kruskal–Wallis across the groups of each series
+    // Frozen because the defaults are shallow-copied into every instance: replace, never mutate
+    groupOrder: Object.freeze({ by: 'data', direction: 'asc' }), // category order, see GROUP_ORDERS
+    hiddenSeries: Object.freeze([]), // series keys switched off in the legend
+    annotations: Object.freeze([])   // reference lines: { value, label?, metric?, color? }
+};
+
+// 'data' keeps the order groups arrive in (including the view's own sort)
+const GROUP_ORDERS = ['data', 'label', 'median', 'mean', 'iqr', 'count'];
+
+// Validators, one per key. A value failing its check is replaced by the default.
+const oneOf = values => v => values.includes(v);
+const number = (min = -Infinity, max = Infinity) => v => typeof v === 'number' && isFinite(v) && v >= min && v <= max;
+const integer = (min, max) => v => Number.isInteger(v) && number(min, max)(v);
+const boolean = v => typeof v === 'boolean';
+const string = v => typeof v === 'string';
+const nullable = check => v => v === null || check(v);
+
+// One side of a significance comparison: a group key, or a single box as { group, series }
+const validPairSide = v => string(v) ||
+    (v !== null && typeof v === 'object' && string(v.group) && (v.series === undefined || string(v.series)));
+
+const SCHEMA = {
+    mode: oneOf(['box', 'violin']),
+    kernel: oneOf(['gaussian', 'epanechnikov', 'triangular', 'uniform', 'biweight', 'cosine']),
+    bandwidth: v => oneOf(['scott', 'silverman'])(v) || (number(0)(v) && v > 0),
+    violinInner: oneOf(['box', 'quartiles', 'none']),
+    whisker: oneOf(['tukey', 'minmax', 'percentile', 'sd']),
+    whiskerIqr: number(0),
+    whiskerPercentile: number(0, 50),
+    whiskerSd: number(0),
+    quantileMethod: integer(1, 9),
+    notch: boolean,
+    bootstrap: boolean,
+    bootstrapSamples: integer(10, 100000),
+    ciLevel: v => number(0, 1)(v) && v > 0 && v < 1,
+    facet: oneOf(['none', 'metric', 'column']),
+    facetColumn: nullable(string),
+    facetScale: oneOf(['shared', 'independent']),
+    facetColumns: nullable(integer(1, 100)),
+    orientation: oneOf(['vertical', 'horizontal']),
+    scale: oneOf(['linear', 'log', 'symlog', 'sqrt']),
+    domainMin: nullable(number()),
+    domainMax: nullable(number()),
+    streaming: boolean,
+    sketchCompression: number(10, 10000),
+    aggregation: oneOf(['client', 'engine']),
+    statsWorker: boolean,
+    pointRenderer: oneOf(['auto', 'svg', 'canvas']),
+    canvasPointThreshold: integer(0),
+    overlay: oneOf(['none', 'strip', 'swarm']),
+    overlaySize: number(0.5, 20),
+    overlayOpacity: number(0, 1),
+    overlayMaxPoints: integer(1),
+    zoomDomain: nullable(v => Array.isArray(v) && v.length === 2 && v.every(number()) && v[0] < v[1]),
+    palette: oneOf(['theme', ...Object.keys(PALETTES)]),
+    legendPosition: oneOf(['auto', 'right', 'top', 'bottom', 'none']),
+    significanceTest: oneOf(['none', 'mann-whitney', 'welch']),
+    significancePairs: v => oneOf(['adjacent', 'all'])(v) ||
+        (Array.isArray(v) && v.every(pair => Array.isArray(pair) && pair.length === 2 && pair.every(validPairSide))),
+    significanceCorrection: oneOf(['none', 'bonferroni', 'holm', 'bh']),
+    significanceLabel: oneOf(['stars', 'p']),
+    significanceOmnibus: boolean,
+    groupOrder: v => v !== null && typeof v === 'object' && oneOf(GROUP_ORDERS)(v.by) && oneOf(['asc', 'desc'])(v.direction),
+    hiddenSeries: v => Array.isArray(v) && v.every(string),
+    annotations: Array.isArray
+};
+
+// Annotations are checked one by one, so a single bad entry doesn't discard the rest
+const validAnnotation = a => a !== null && typeof a === 'object' && number()(a.value) &&
+    (a.label === undefined || string(a.label)) &&
+    (a.metric === undefined || nullable(string)(a.metric)) &&
+    (a.color === undefined || string(a.color));
+
+// Keys whose default is null but whose value is a number
+const NULLABLE_NUMBERS = ['domainMin', 'domainMax', 'facetColumns'];
+
+// Upgrades a state object from version N to N + 1
+const MIGRATIONS = {
+    // Version 1 is the unversioned, flat settings object written by earlier releases. Values
+    // edited into layouts by hand may be strings ("1.5", "true"), so they are coerced to the
+    // default's type before validation. The new keys (groupOrder, hiddenSeries, annotations)
+    // are left to their defaults.
+    1: state => {
+        const next = { ...state };
+        Object.entries(DEFAULT_SETTINGS).forEach(([key, fallback]) => {
+            const value = next[key];
+            if (typeof value !== 'string') return;
+            if (typeof fallback === 'number' || (NULLABLE_NUMBERS.includes(key) && value.trim() !== '' && isFinite(value))) {
+                next[key] = Number(value);
+            } else if (typeof fallback === 'boolean' && (value === 'true' || value === 'false')) {
+                next[key] = value === 'true';
+            }
+        });
+        return next;
+    },
+    // Version 3 added legendPosition, which defaults to 'auto'
+    2: state => state,
+    // Version 4 added the significance* options, off by default
+    3: state => state
+};
+
+// Whether `value` is acceptable for option `key`, by the same rules parseState applies
+function isValidSetting(key, value) {
+    return key in SCHEMA && SCHEMA[key](value);
+}
+
+// Plugin state as written to layouts
+function serializeState(settings) {
+    return { version: STATE_VERSION, ...settings };
+}
+
+// Migrates a saved state forward to STATE_VERSION and validates every key against SCHEMA.
+// Anything missing or invalid falls back to its default, so any layout ever saved still loads.
+function parseState(raw) {
+    if (!raw || typeof raw !== 'object') {
+        return { ...DEFAULT_SETTINGS };
+    }
+
+    let { version = 1, ...state } = raw;
+    if (!Number.isInteger(version) || version < 1) {
+        console.warn(`Unknown boxplot state version ${version}, reading it as version 1`);
+        version = 1;
+    }
+    if (version > STATE_VERSION) {
+        console.warn(`Boxplot state was saved by a newer version (${version} > ${STATE_VERSION}); unrecognised options are ignored`);
+    }
+
+    for (; version < STATE_VERSION; version++) {
+        state = MIGRATIONS[version](state);
+    }
+
+    const settings = { ...DEFAULT_SETTINGS };
+    Object.entries(state).forEach(([key, value]) => {
+        if (!(key in SCHEMA)) {
+            console.warn(`Ignoring unknown boxplot option "${key}"`);
+        } else if (SCHEMA[key](value)) {
+            settings[key] = value;
+        } else {
+            console.warn(`Invalid boxplot option ${key}=${JSON.stringify(value)}, using ${JSON.stringify(DEFAULT_SETTINGS[key])}`);
+        }
+    });
+
+    settings.annotations = settings.annotations.filter(annotation => {
+        const valid = validAnnotation(annotation);
+        if (!valid) console.warn('Dropping invalid boxplot annotation', annotation);
+        return valid;
+    });
+
+    return settings;
+}
+
+export {
+    STATE_VERSION, PALETTES, DEFAULT_SETTINGS, GROUP_ORDERS,
+    isValidSetting, serializeState, parseState
+};
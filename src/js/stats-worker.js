@@ -0,0 +1,15 @@
+// Stats worker: sorts each series and computes its boxplot statistics off the UI thread.
+// Bundled by webpack from `new Worker(new URL('./stats-worker.js', import.meta.url))`.
+import { boxplotStats } from './stats.js';
+
+self.onmessage = event => {
+    const { id, options, values } = event.data;
+
+    const results = values.map(series => {
+        const sorted = series.sort();
+        return { sorted, stats: boxplotStats(sorted, options) };
+    });
+
+    // Hand the sorted buffers back without copying
+    self.postMessage({ id, results }, results.map(result => result.sorted.buffer));
+};
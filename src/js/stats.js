@@ -0,0 +1,297 @@
+import * as d3 from 'd3';
+
+// Kernel functions for density estimation, each integrating to 1 over its support
+const KERNELS = {
+    gaussian: u => Math.exp(-0.5 * u * u) / Math.sqrt(2 * Math.PI),
+    epanechnikov: u => Math.abs(u) <= 1 ? 0.75 * (1 - u * u) : 0,
+    triangular: u => Math.abs(u) <= 1 ? 1 - Math.abs(u) : 0,
+    uniform: u => Math.abs(u) <= 1 ? 0.5 : 0,
+    biweight: u => Math.abs(u) <= 1 ? (15 / 16) * Math.pow(1 - u * u, 2) : 0,
+    cosine: u => Math.abs(u) <= 1 ? (Math.PI / 4) * Math.cos(Math.PI * u / 2) : 0
+};
+
+// Bandwidth selection - accepts a rule name or a fixed numeric bandwidth
+function kdeBandwidth(sortedValues, rule = 'scott') {
+    if (typeof rule === 'number' && rule > 0) return rule;
+
+    const n = sortedValues.length;
+    if (n < 2) return 1;
+
+    return bandwidthFromStats({
+        count: n,
+        sd: d3.deviation(sortedValues),
+        iqr: d3.quantileSorted(sortedValues, 0.75) - d3.quantileSorted(sortedValues, 0.25)
+    }, rule);
+}
+
+// Scott/Silverman rule from summary statistics, for when the raw sample isn't available
+function bandwidthFromStats({ count, sd, iqr }, rule = 'scott') {
+    if (typeof rule === 'number' && rule > 0) return rule;
+    if (count < 2) return 1;
+
+    // Robust spread estimate, falling back to whichever is non-zero
+    const spread = Math.min(sd, iqr / 1.349) || sd || iqr || 1;
+
+    if (rule === 'silverman') {
+        return 0.9 * spread * Math.pow(count, -1 / 5);
+    }
+    // Scott's rule
+    return 1.059 * spread * Math.pow(count, -1 / 5);
+}
+
+// Evaluates the kernel density estimate on an evenly spaced grid over [lo, hi].
+// Optional `weights` (one per value) let sketch centroids stand in for the raw sample.
+function kde(sortedValues, { kernel = 'gaussian', bandwidth = 'scott', points = 64, extent, weights } = {}) {
+    const n = sortedValues.length;
+    if (n === 0) return [];
+
+    const k = KERNELS[kernel] || KERNELS.gaussian;
+    const bw = kdeBandwidth(sortedValues, bandwidth);
+    const [lo, hi] = extent || [sortedValues[0], sortedValues[n - 1]];
+    const totalWeight = weights ? d3.sum(weights) : n;
+
+    if (lo === hi) return [[lo, 1]];
+
+    const step = (hi - lo) / (points - 1);
+    const density = [];
+    for (let i = 0; i < points; i++) {
+        const x = lo + i * step;
+        let sum = 0;
+        for (let j = 0; j < n; j++) {
+            sum += (weights ? weights[j] : 1) * k((x - sortedValues[j]) / bw);
+        }
+        density.push([x, sum / (totalWeight * bw)]);
+    }
+    return density;
+}
+
+// Hyndman & Fan (1996) sample quantile definitions, numbered as in R's quantile(type = ...)
+const QUANTILE_METHODS = {
+    1: 'Type 1 (inverted CDF, SAS-3)',
+    2: 'Type 2 (averaged inverted CDF, SAS-5)',
+    3: 'Type 3 (nearest even order statistic, SAS-2)',
+    4: 'Type 4 (interpolated CDF, SAS-1)',
+    5: 'Type 5 (Hazen)',
+    6: 'Type 6 (Weibull, Excel PERCENTILE.EXC, SPSS)',
+    7: 'Type 7 (linear, numpy/pandas/Excel PERCENTILE.INC)',
+    8: 'Type 8 (median-unbiased)',
+    9: 'Type 9 (normal-unbiased)'
+};
+
+// Plotting-position offset m for the continuous types, where h = n·p + m
+const QUANTILE_OFFSETS = {
+    4: () => 0,
+    5: () => 0.5,
+    6: p => p,
+    7: p => 1 - p,
+    8: p => (p + 1) / 3,
+    9: p => p / 4 + 3 / 8
+};
+
+function quantileSorted(sortedValues, p, type = 7) {
+    const n = sortedValues.length;
+    if (n === 0) return NaN;
+    if (n === 1 || p <= 0) return sortedValues[0];
+    if (p >= 1) return sortedValues[n - 1];
+
+    // 1-based order statistic, clamped to the sample
+    const x = i => sortedValues[Math.min(n, Math.max(1, i)) - 1];
+    const np = n * p;
+
+    switch (+type) {
+        case 1: {
+            const j = Math.floor(np);
+            return np - j > 0 ? x(j + 1) : x(j);
+        }
+        case 2: {
+            const j = Math.floor(np);
+            return np - j > 0 ? x(j + 1) : (x(j) + x(j + 1)) / 2;
+        }
+        case 3: {
+            const j = Math.floor(np - 0.5);
+            return np - 0.5 - j === 0 && j % 2 === 0 ? x(j) : x(j + 1);
+        }
+        default: {
+            const offset = QUANTILE_OFFSETS[type] || QUANTILE_OFFSETS[7];
+            const h = np + offset(p);
+            const j = Math.floor(h);
+            const g = h - j;
+            return x(j) + g * (x(j + 1) - x(j));
+        }
+    }
+}
+
+// Whisker/fence rules. Each returns the fence values; points beyond them are outliers.
+// `quantile(p)` is supplied by the caller so the rules work on exact samples and sketches alike.
+const WHISKER_RULES = {
+    tukey: {
+        label: o => `Tukey ${o.whiskerIqr}\u00d7IQR`,
+        fences: (s, o) => [s.q1 - o.whiskerIqr * (s.q3 - s.q1), s.q3 + o.whiskerIqr * (s.q3 - s.q1)]
+    },
+    minmax: {
+        label: () => 'Min/Max',
+        fences: s => [s.dataMin, s.dataMax]
+    },
+    percentile: {
+        label: o => `P${o.whiskerPercentile}/P${100 - o.whiskerPercentile}`,
+        fences: (s, o, quantile) => [
+            quantile(o.whiskerPercentile / 100),
+            quantile(1 - o.whiskerPercentile / 100)
+        ]
+    },
+    sd: {
+        label: o => `Mean \u00b1 ${o.whiskerSd}\u00b7SD`,
+        fences: (s, o) => [s.mean - o.whiskerSd * s.sd, s.mean + o.whiskerSd * s.sd]
+    }
+};
+
+// Percentile bootstrap confidence interval of a statistic. Seeded so redraws are stable.
+function bootstrapCI(values, statistic, { samples = 1000, level = 0.95, seed = 0.5 } = {}) {
+    const n = values.length;
+    if (n < 2) return [statistic(values), statistic(values)];
+
+    const random = d3.randomInt.source(d3.randomLcg(seed))(n);
+    const resample = new Float64Array(n);
+    const estimates = new Float64Array(samples);
+
+    for (let b = 0; b < samples; b++) {
+        for (let i = 0; i < n; i++) {
+            resample[i] = values[random()];
+        }
+        estimates[b] = statistic(resample);
+    }
+    estimates.sort();
+
+    const alpha = (1 - level) / 2;
+    return [d3.quantileSorted(estimates, alpha), d3.quantileSorted(estimates, 1 - alpha)];
+}
+
+const DEFAULT_STATS_OPTIONS = {
+    whisker: 'tukey',
+    whiskerIqr: 1.5,
+    whiskerPercentile: 5,
+    whiskerSd: 2,
+    quantileMethod: 7,
+    bootstrap: false,
+    bootstrapSamples: 1000,
+    ciLevel: 0.95
+};
+
+// Summary statistics for an ascending-sorted array of numbers
+function boxplotStats(sortedValues, options = {}) {
+    const n = sortedValues.length;
+    if (n === 0) return null;
+
+    const opts = { ...DEFAULT_STATS_OPTIONS, ...options };
+    const rule = WHISKER_RULES[opts.whisker] || WHISKER_RULES.tukey;
+
+    const base = {
+        count: n,
+        dataMin: sortedValues[0],
+        dataMax: sortedValues[n - 1],
+        q1: quantileSorted(sortedValues, 0.25, opts.quantileMethod),
+        median: quantileSorted(sortedValues, 0.5, opts.quantileMethod),
+        q3: quantileSorted(sortedValues, 0.75, opts.quantileMethod),
+        mean: d3.mean(sortedValues),
+        sd: n > 1 ? d3.deviation(sortedValues) : 0
+    };
+
+    const quantile = p => quantileSorted(sortedValues, p, opts.quantileMethod);
+    const [lowerFence, upperFence] = rule.fences(base, opts, quantile);
+
+    // Percentile whiskers end at the percentile itself; the others end at the most extreme point inside the fences
+    let min, max;
+    if (opts.whisker === 'percentile') {
+        min = lowerFence;
+        max = upperFence;
+    } else {
+        const lo = d3.bisectLeft(sortedValues, lowerFence);
+        const hi = d3.bisectRight(sortedValues, upperFence) - 1;
+        min = lo < n ? sortedValues[lo] : base.dataMin;
+        max = hi >= 0 ? sortedValues[hi] : base.dataMax;
+    }
+
+    // Plain array even for typed-array input, so it survives structured cloning and spreading alike
+    const outliers = Array.from(sortedValues.filter(v => v < lowerFence || v > upperFence));
+
+    // McGill, Tukey & Larsen (1978) notch: median ± 1.57·IQR/√n
+    const notchHalfWidth = 1.57 * (base.q3 - base.q1) / Math.sqrt(n);
+    const ci = {
+        medianNotch: [base.median - notchHalfWidth, base.median + notchHalfWidth]
+    };
+
+    if (opts.bootstrap) {
+        const bootOptions = { samples: opts.bootstrapSamples, level: opts.ciLevel };
+        ci.medianCI = bootstrapCI(sortedValues, d3.median, bootOptions);
+        ci.meanCI = bootstrapCI(sortedValues, d3.mean, bootOptions);
+        ci.ciLevel = opts.ciLevel;
+    }
+
+    return {
+        ...base,
+        min,
+        max,
+        iqr: base.q3 - base.q1,
+        lowerFence,
+        upperFence,
+        whiskerRule: rule.label(opts),
+        quantileMethod: QUANTILE_METHODS[opts.quantileMethod] || QUANTILE_METHODS[7],
+        ...ci,
+        outliers,
+        outlierCount: outliers.length
+    };
+}
+
+// Same shape as boxplotStats(), from precomputed summary values (e.g. engine aggregates).
+// `candidates` are the raw values known to lie in the tails; without them whiskers end at the
+// fences and no outliers are listed. Percentile whiskers need a quantile function and fall back to Tukey.
+function summaryStats(summary, options = {}, candidates = []) {
+    if (!summary || !summary.count) return null;
+
+    const opts = { ...DEFAULT_STATS_OPTIONS, ...options };
+    const whisker = opts.whisker === 'percentile' ? 'tukey' : opts.whisker;
+    const rule = WHISKER_RULES[whisker] || WHISKER_RULES.tukey;
+
+    const base = {
+        count: summary.count,
+        dataMin: summary.min,
+        dataMax: summary.max,
+        q1: summary.q1,
+        median: summary.median,
+        q3: summary.q3,
+        mean: summary.mean,
+        sd: summary.sd || 0
+    };
+
+    const [lowerFence, upperFence] = rule.fences(base, opts, () => NaN);
+    const outliers = candidates.filter(v => v < lowerFence || v > upperFence).sort(d3.ascending);
+
+    // Whisker ends: the data extreme if it is inside the fence, else the closest candidate inside it
+    const lowInside = candidates.filter(v => v >= lowerFence && v <= base.q1);
+    const highInside = candidates.filter(v => v <= upperFence && v >= base.q3);
+    const min = base.dataMin >= lowerFence ? base.dataMin : (lowInside.length ? d3.min(lowInside) : lowerFence);
+    const max = base.dataMax <= upperFence ? base.dataMax : (highInside.length ? d3.max(highInside) : upperFence);
+
+    const notchHalfWidth = 1.57 * (base.q3 - base.q1) / Math.sqrt(base.count);
+
+    return {
+        ...base,
+        min,
+        max,
+        iqr: base.q3 - base.q1,
+        lowerFence,
+        upperFence,
+        whiskerRule: rule.label(opts),
+        quantileMethod: summary.method || 'precomputed',
+        medianNotch: [base.median - notchHalfWidth, base.median + notchHalfWidth],
+        outliers,
+        outlierCount: outliers.length
+    };
+}
+
+export {
+    KERNELS, kdeBandwidth, bandwidthFromStats, kde,
+    QUANTILE_METHODS, quantileSorted,
+    WHISKER_RULES, bootstrapCI,
+    DEFAULT_STATS_OPTIONS, boxplotStats, summaryStats
+};